@@ -63,11 +63,17 @@
 	// Utilities
 	const isValidPath = path => typeof path === 'string' && path.trim().length > 0 && !path.includes('..');
 	const getPathParts = path => path.split('.').filter(Boolean);
+	// True when path is one of the prefixes, below one, or an ancestor of one
+	const matchesPathPrefixes = (path, prefixes) => prefixes.some(prefix =>
+		path === prefix || path.startsWith(prefix + '.') || prefix.startsWith(path + '.'));
 
 	const deepEquals = (a, b) => {
 		if (a === b) return true;
 		if (a == null || b == null || typeof a !== typeof b) return false;
 		if (typeof a === 'object') {
+			// Dates compare by time; other non-plain objects (Map, Set, class instances) only by identity
+			if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+			if (!isPlainContainer(a) || !isPlainContainer(b)) return false;
 			if (Array.isArray(a) !== Array.isArray(b)) return false;
 			const keysA = Object.keys(a), keysB = Object.keys(b);
 			if (keysA.length !== keysB.length) return false;
@@ -75,6 +81,267 @@
 		}
 		return false;
 	};
+	// Small JSON-Schema subset: type, enum, const, properties, required, additionalProperties,
+	// items, minimum, maximum, minLength, maxLength, pattern. Returns [{ path, message }].
+	const schemaTypeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+	const validateSchema = (value, schema, path, errors = []) => {
+		if (!schema || typeof schema !== 'object') return errors;
+		const fail = message => errors.push({ path, message });
+		if (schema.type) {
+			const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+			const actual = schemaTypeOf(value);
+			const matches = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+			if (!matches) {
+				fail(`expected ${types.join(' | ')}, got ${actual}`);
+				return errors;
+			}
+		}
+		if (schema.enum && !schema.enum.some(option => deepEquals(option, value))) fail(`expected one of ${JSON.stringify(schema.enum)}`);
+		if ('const' in schema && !deepEquals(schema.const, value)) fail(`expected ${JSON.stringify(schema.const)}`);
+		if (typeof value === 'number') {
+			if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+			if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+		}
+		if (typeof value === 'string') {
+			if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+			if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+			if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+		}
+		if (Array.isArray(value) && schema.items) {
+			value.forEach((item, index) => validateSchema(item, schema.items, `${path}.${index}`, errors));
+		}
+		if (schemaTypeOf(value) === 'object') {
+			(schema.required || []).forEach(key => {
+				if (value[key] === undefined) fail(`missing required property "${key}"`);
+			});
+			Object.keys(value).forEach(key => {
+				if (schema.properties?.[key]) validateSchema(value[key], schema.properties[key], `${path}.${key}`, errors);
+				else if (schema.additionalProperties === false) fail(`unexpected property "${key}"`);
+				else if (typeof schema.additionalProperties === 'object') validateSchema(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+			});
+		}
+		return errors;
+	};
+
+	// Sub-schema for a path relative to the schema's own path, following properties/items
+	const getSubSchema = (schema, relativeParts) => {
+		let current = schema;
+		for (const part of relativeParts) {
+			if (!current) return null;
+			if (current.properties?.[part]) current = current.properties[part];
+			else if (current.items && /^\d+$/.test(part)) current = current.items;
+			else if (typeof current.additionalProperties === 'object') current = current.additionalProperties;
+			else return null;
+		}
+		return current;
+	};
+
+	// Strict mode keeps state deep-frozen; getState hands out read-only views of its plain objects/arrays
+	const STATE_VIEW_RAW = Symbol('juris.stateViewRaw');
+	const isPlainContainer = value => Array.isArray(value) ||
+		(value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+	const unwrapStateView = value => value?.[STATE_VIEW_RAW] || value;
+	// Object.freeze does not reach the internal slots of Dates, Maps and Sets, so their mutating methods are
+	// shadowed on the instance. Calling the prototype method directly (Map.prototype.set.call(...)) still bypasses it.
+	const STATE_MUTATORS = [
+		{ type: Date, methods: Object.getOwnPropertyNames(Date.prototype).filter(name => name.startsWith('set')) },
+		{ type: Map, methods: ['set', 'delete', 'clear'] },
+		{ type: Set, methods: ['add', 'delete', 'clear'] }
+	];
+	const freezeBuiltinStateValue = value => {
+		const mutators = STATE_MUTATORS.find(({ type }) => value instanceof type);
+		if (!mutators) return value;
+		if (value instanceof Map) value.forEach((item, key) => {
+			const next = freezeStateValue(item);
+			if (next !== item) Map.prototype.set.call(value, key, next);
+		});
+		if (value instanceof Set) value.forEach(item => freezeStateValue(item));
+		const typeName = mutators.type.name;
+		mutators.methods.forEach(name => Object.defineProperty(value, name, {
+			value: () => {
+				throw new TypeError(`Cannot call ${name}() on a ${typeName} in state: state values are read-only in strict mode, use setState with a new ${typeName} instead`);
+			}
+		}));
+		return Object.freeze(value);
+	};
+	// Freezes in place, skipping frozen subtrees so shared branches are not walked again
+	const freezeStateValue = value => {
+		const raw = value?.[STATE_VIEW_RAW];
+		if (raw) return raw;
+		if (Object.isFrozen(value)) return value;
+		if (!isPlainContainer(value)) return freezeBuiltinStateValue(value);
+		Object.keys(value).forEach(key => {
+			const next = freezeStateValue(value[key]);
+			if (next !== value[key]) value[key] = next;
+		});
+		return Object.freeze(value);
+	};
+
+	// State snapshots are JSON with tagged values: { $juris: 'Date' | 'Map' | 'Set' | 'Number' | 'BigInt' | 'Ref' | 'Object', ... }.
+	// Every object, array, Map and Set is remembered by its location, so shared and circular references become
+	// { $juris: 'Ref', path } and come back as the same object. Functions, symbols and DOM nodes are dropped.
+	const SNAPSHOT_TAG = '$juris';
+	const encodeSnapshotValue = (value, segments = [], seen = new Map()) => {
+		if (typeof value === 'number' && !Number.isFinite(value)) return { [SNAPSHOT_TAG]: 'Number', value: String(value) };
+		if (typeof value === 'bigint') return { [SNAPSHOT_TAG]: 'BigInt', value: String(value) };
+		if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+		if (value === null || typeof value !== 'object') return value;
+		if (seen.has(value)) return { [SNAPSHOT_TAG]: 'Ref', path: seen.get(value) };
+		if (value instanceof Date) return { [SNAPSHOT_TAG]: 'Date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+		if (typeof Node !== 'undefined' && value instanceof Node) return undefined;
+		if (!(value instanceof Map || value instanceof Set || isPlainContainer(value)) && typeof value.toJSON === 'function') {
+			return encodeSnapshotValue(value.toJSON(), segments, seen);
+		}
+		seen.set(value, segments);
+		const encode = (item, ...keys) => encodeSnapshotValue(item, [...segments, ...keys], seen);
+		if (value instanceof Map) return { [SNAPSHOT_TAG]: 'Map', entries: [...value].map(([key, item], index) => [encode(key, index, 0), encode(item, index, 1)]) };
+		if (value instanceof Set) return { [SNAPSHOT_TAG]: 'Set', values: [...value].map((item, index) => encode(item, index)) };
+		if (Array.isArray(value)) return value.map((item, index) => encode(item, index) ?? null);
+		const encoded = {};
+		Object.keys(value).forEach(key => {
+			const item = encode(value[key], key);
+			if (item !== undefined) encoded[key] = item;
+		});
+		// Plain objects that happen to use the tag key are wrapped so they are not read back as tagged values
+		return SNAPSHOT_TAG in value ? { [SNAPSHOT_TAG]: 'Object', value: encoded } : encoded;
+	};
+	const decodeSnapshotValue = (value, segments = [], refs = new Map()) => {
+		if (value === null || typeof value !== 'object') return value;
+		const location = JSON.stringify(segments);
+		const decode = (item, ...keys) => decodeSnapshotValue(item, [...segments, ...keys], refs);
+		if (Array.isArray(value)) {
+			const result = [];
+			refs.set(location, result);
+			value.forEach((item, index) => { result[index] = decode(item, index); });
+			return result;
+		}
+		switch (value[SNAPSHOT_TAG]) {
+			case 'Ref': return refs.get(JSON.stringify(value.path));
+			case 'Date': return new Date(value.value ?? NaN);
+			case 'Number': return Number(value.value);
+			case 'BigInt': return typeof BigInt === 'function' ? BigInt(value.value) : Number(value.value);
+			case 'Map': {
+				const result = new Map();
+				refs.set(location, result);
+				value.entries.forEach(([key, item], index) => result.set(decode(key, index, 0), decode(item, index, 1)));
+				return result;
+			}
+			case 'Set': {
+				const result = new Set();
+				refs.set(location, result);
+				value.values.forEach((item, index) => result.add(decode(item, index)));
+				return result;
+			}
+			case 'Object': value = value.value; break;
+		}
+		const result = {};
+		refs.set(location, result);
+		Object.keys(value).forEach(key => { result[key] = decode(value[key], key); });
+		return result;
+	};
+	// Deep copy that keeps Dates, Maps, Sets and circular references
+	const cloneStateValue = value => decodeSnapshotValue(encodeSnapshotValue(value));
+	// Snapshot values win; plain objects are merged so defaults the snapshot left out survive
+	const mergeSnapshotState = (base, snapshot) => {
+		const result = { ...base };
+		Object.keys(snapshot).forEach(key => {
+			const useMerge = isPlainContainer(result[key]) && !Array.isArray(result[key]) && isPlainContainer(snapshot[key]) && !Array.isArray(snapshot[key]);
+			result[key] = useMerge ? mergeSnapshotState(result[key], snapshot[key]) : snapshot[key];
+		});
+		return result;
+	};
+	const readStateSnapshot = (selector = '#juris-state') => {
+		if (typeof document === 'undefined') return null;
+		const script = document.querySelector(selector);
+		if (!script) return null;
+		try {
+			return JSON.parse(script.textContent);
+		} catch (error) {
+			console.error(log.e('Invalid state snapshot', { selector, error: error.message }, 'framework'));
+			return null;
+		}
+	};
+
+	// Vnode props compare by value, except functions, which compare by identity; an element reused with props
+	// that differ is patched (DOMRenderer._patchElement) rather than kept as it was
+	const vnodePropsEqual = (a, b) => {
+		if (a === b) return true;
+		if (typeof a === 'function' || typeof b === 'function') return false;
+		if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+		if (Array.isArray(a) !== Array.isArray(b)) return false;
+		const keysA = Object.keys(a), keysB = Object.keys(b);
+		if (keysA.length !== keysB.length) return false;
+		return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && vnodePropsEqual(a[key], b[key]));
+	};
+	// Positions (into sequence) of a longest strictly increasing run, ignoring negative entries
+	const longestIncreasingSubsequence = sequence => {
+		const tails = []; // tails[k]: position of the smallest tail of an increasing run of length k + 1
+		const previous = new Array(sequence.length);
+		sequence.forEach((value, position) => {
+			if (value < 0) return;
+			let low = 0, high = tails.length;
+			while (low < high) {
+				const middle = (low + high) >> 1;
+				if (sequence[tails[middle]] < value) low = middle + 1;
+				else high = middle;
+			}
+			previous[position] = low > 0 ? tails[low - 1] : -1;
+			tails[low] = position;
+		});
+		const result = new Set();
+		for (let position = tails[tails.length - 1]; position !== undefined && position >= 0; position = previous[position]) {
+			result.add(position);
+		}
+		return result;
+	};
+
+	// Fragments and nested arrays are spliced into the surrounding child list, so keyed diffs see their
+	// children as siblings; null, undefined and booleans render nothing
+	const flattenChildren = (children, flat = []) => {
+		(Array.isArray(children) ? children : [children]).forEach(child => {
+			if (Array.isArray(child)) flattenChildren(child, flat);
+			else if (isFragmentVnode(child)) flattenChildren(child.fragment?.children, flat);
+			else if (child != null && typeof child !== 'boolean') flat.push(child);
+		});
+		return flat;
+	};
+	const isFragmentVnode = vnode => !!vnode && typeof vnode === 'object' && Object.keys(vnode).length === 1 && 'fragment' in vnode;
+	const isTextVnode = vnode => typeof vnode === 'string' || typeof vnode === 'number';
+
+	// Events that do not bubble keep a listener on their element even with delegation on
+	const NON_BUBBLING_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave', 'load', 'error', 'scroll', 'resize'];
+	const EVENT_KEY_MODIFIERS = {
+		enter: ['Enter'], esc: ['Escape', 'Esc'], escape: ['Escape', 'Esc'], space: [' ', 'Spacebar'], tab: ['Tab'],
+		up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'], delete: ['Delete', 'Backspace']
+	};
+	const EVENT_SYSTEM_MODIFIERS = ['ctrl', 'shift', 'alt', 'meta'];
+	const EVENT_BEHAVIOR_MODIFIERS = ['prevent', 'stop', 'self', 'once'];
+	// Any other modifier is matched against event.key, so onKeydown.a or onKeydown.ctrl.s work too
+	const createModifiedEventHandler = (element, handler, modifiers) => {
+		let done = false;
+		return event => {
+			if (done) return;
+			if (modifiers.includes('self') && event.target !== element) return;
+			for (const modifier of modifiers) {
+				if (EVENT_BEHAVIOR_MODIFIERS.includes(modifier)) continue;
+				if (EVENT_SYSTEM_MODIFIERS.includes(modifier)) {
+					if (!event[`${modifier}Key`]) return;
+				} else if (EVENT_KEY_MODIFIERS[modifier]) {
+					if (!EVENT_KEY_MODIFIERS[modifier].includes(event.key)) return;
+				} else if (event.key?.toLowerCase() !== modifier) {
+					return;
+				}
+			}
+			if (modifiers.includes('prevent')) event.preventDefault();
+			if (modifiers.includes('stop')) event.stopPropagation();
+			if (modifiers.includes('once')) done = true;
+			return handler(event);
+		};
+	};
+
+	// Set in the setState context by the array helpers: they only write a new array when something changed
+	const ARRAY_WRITE = Symbol('juris.arrayWrite');
+
 	// the leanest and sophisticated logger
 	const createLogger = () => {
 		const s = [];
@@ -138,6 +405,49 @@
 	};
 	const { promisify, startTracking, stopTracking, onAllComplete } = createPromisify();
 
+	// Persistence adapters: getItem/setItem/removeItem, sync or Promise-returning
+	const createWebStorageAdapter = (getStorage) => {
+		let storage = null;
+		try { storage = getStorage(); } catch (error) { storage = null; } // Access throws in some privacy modes
+		if (!storage) return null;
+		return {
+			getItem: key => {
+				const raw = storage.getItem(key);
+				return raw == null ? null : JSON.parse(raw);
+			},
+			setItem: (key, value) => storage.setItem(key, JSON.stringify(value)),
+			removeItem: key => storage.removeItem(key)
+		};
+	};
+
+	const createIndexedDBAdapter = ({ dbName = 'juris', storeName = 'state' } = {}) => {
+		if (typeof indexedDB === 'undefined') return null;
+		let dbPromise = null;
+		const openDB = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+			const request = indexedDB.open(dbName, 1);
+			request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		}));
+		const run = (mode, operation) => openDB().then(db => new Promise((resolve, reject) => {
+			const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+			request.onsuccess = () => resolve(request.result ?? null);
+			request.onerror = () => reject(request.error);
+		}));
+		return {
+			getItem: key => run('readonly', store => store.get(key)),
+			setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+			removeItem: key => run('readwrite', store => store.delete(key))
+		};
+	};
+
+	const createStorageAdapter = (adapter, options = {}) => {
+		if (adapter && typeof adapter === 'object') return adapter;
+		if (adapter === 'indexedDB') return createIndexedDBAdapter(options);
+		if (adapter === 'sessionStorage') return createWebStorageAdapter(() => window.sessionStorage);
+		return createWebStorageAdapter(() => window.localStorage);
+	};
+
 	// State Manager
 	class StateManager {
 		constructor(initialState = {}, middleware = []) {
@@ -151,10 +461,23 @@
 			this.externalSubscribers = new Map();
 			this.currentTracking = null;
 			this.isUpdating = false;
-			this.initialState = JSON.parse(JSON.stringify(initialState));
+			this.initialState = cloneStateValue(initialState);
 			this.maxUpdateDepth = 50;
 			this.updateDepth = 0;
 			this.currentlyUpdating = new Set();
+			// Computed paths: path -> { fn, value, dirty, computing, deps: Map<depPath, unsubscribe> }
+			this.computed = new Map();
+			// Undo/redo, off until enableHistory() is called
+			this.history = null;
+			// Persisted slices, off until enablePersistence() is called
+			this.persistence = null;
+			// Cross-tab mirroring, off until enableSync() is called
+			this.sync = null;
+			// Registered schemas: path -> schema, checked by the validation middleware
+			this.schemas = new Map();
+			this.validation = null;
+			// Frozen state and read-only views, off until enableStrictMode() is called
+			this.strict = null;
 
 			// Manual batching properties
 			this.isBatching = false;
@@ -169,24 +492,35 @@
 				this.batchedPaths.clear();
 				this.isBatching = false;
 			}
-			this.state = JSON.parse(JSON.stringify(this.initialState));
+			this.state = cloneStateValue(this.initialState);
+			if (this.strict) this.state = freezeStateValue(this.state);
+			this.computed.forEach(entry => { entry.dirty = true; });
+			if (this.history) this.clearHistory();
 		}
 
 		getState(path, defaultValue = null, track = true) {
 			if (!isValidPath(path)) return defaultValue;
 			if (track) this.currentTracking?.add(path);
+			const computedPath = this.computed.size > 0 ? this._findComputedPath(path) : null;
+			if (computedPath) return this._readonlyView(this._getComputedState(computedPath, path, defaultValue), path);
 			const parts = getPathParts(path);
 			let current = this.state;
 			for (const part of parts) {
 				if (current?.[part] === undefined) return defaultValue;
 				current = current[part];
 			}
-			return current;
+			return this._readonlyView(current, path);
 		}
 
 		setState(path, value, context = {}) {
 			console.debug(log.d('State change initiated', { path, hasValue: value !== undefined }, 'application'));
 			if (!isValidPath(path) || this._hasCircularUpdate(path)) return;
+			if (this.computed.size > 0 && this._findComputedPath(path)) {
+				console.warn(log.w('Cannot set computed path', { path }, 'application'));
+				return;
+			}
+			// Frozen up front, so middleware and queued batches never hold a mutable copy
+			if (this.strict) value = freezeStateValue(value);
 			if (this.isBatching) {
 				this._queueBatchedUpdate(path, value, context);
 				return;
@@ -210,7 +544,7 @@
 							return value;
 						})
 						.catch(error => {
-							this.endBatch();
+							this._discardBatch(error);
 							throw error;
 						});
 				}
@@ -218,9 +552,191 @@
 				this.endBatch();
 				return result;
 			} catch (error) {
-				this.endBatch();
+				this._discardBatch(error);
+				throw error;
+			}
+		}
+
+		// A failed batch applies none of its queued updates
+		_discardBatch(error) {
+			if (!this.isBatching) return;
+			console.warn(log.w('Batch failed, queued updates discarded', { discardedUpdates: this.batchQueue.length, error: error?.message }, 'application'));
+			this.clearBatch();
+			this.endBatch();
+		}
+
+		// Writes made through tx.setState stay private to the transaction (tx.getState sees them) until fn
+		// succeeds, then land in one batch. If fn throws or rejects, or validation would reject one of them,
+		// they are all dropped; if applying them fails, the paths they touched are restored.
+		transaction(fn) {
+			const writes = [];
+			const tx = {
+				getState: (path, defaultValue = null) => {
+					const value = this._readThroughWrites(path, writes);
+					return value === undefined ? defaultValue : value;
+				},
+				setState: (path, value) => {
+					if (!isValidPath(path)) return;
+					writes.push({ path, value });
+				},
+				// Same as the StateManager array helpers, but built on the transaction's pending value
+				push: (path, ...items) => {
+					const list = tx.getState(path, []);
+					tx.setState(path, [...list, ...items]);
+					return list.length + items.length;
+				},
+				removeWhere: (path, predicate) => {
+					const removed = [];
+					const next = tx.getState(path, []).filter((item, index) => {
+						if (!predicate(item, index)) return true;
+						removed.push(item);
+						return false;
+					});
+					if (removed.length > 0) tx.setState(path, next);
+					return removed;
+				},
+				updateWhere: (path, predicate, patch) => {
+					let updatedCount = 0;
+					const next = tx.getState(path, []).map((item, index) => {
+						if (!predicate(item, index)) return item;
+						const updated = typeof patch === 'function' ? patch(item, index) : { ...item, ...patch };
+						if (deepEquals(item, updated)) return item;
+						updatedCount++;
+						return updated;
+					});
+					if (updatedCount > 0) tx.setState(path, next);
+					return updatedCount;
+				}
+			};
+			const abort = error => {
+				console.warn(log.w('Transaction rolled back', { paths: [...new Set(writes.map(write => write.path))], error: error?.message }, 'application'));
+				writes.length = 0;
 				throw error;
+			};
+			let result;
+			try {
+				result = fn(tx);
+			} catch (error) {
+				result = Promise.reject(error);
 			}
+			return Promise.resolve(result).then(value => {
+				// Checked up front: the validation middleware would keep the old value and let the other writes land
+				if (this.validation?.mode === 'reject') writes.forEach(write => {
+					const errors = this.validateState(write.path, write.value);
+					if (errors.length > 0) abort(new TypeError(`Invalid state at "${write.path}": ${errors.map(error => `${error.path}: ${error.message}`).join('; ')}`));
+				});
+				this._commitTransaction(writes);
+				return value;
+			}, abort);
+		}
+
+		_readThroughWrites(path, writes) {
+			let value = this.getState(path, undefined, false);
+			writes.forEach(write => {
+				if (write.path === path) {
+					value = write.value;
+				} else if (write.path.startsWith(path + '.')) {
+					value = this._withValueAt(value, getPathParts(write.path.slice(path.length + 1)), write.value);
+				} else if (path.startsWith(write.path + '.')) {
+					value = getPathParts(path.slice(write.path.length + 1)).reduce((current, part) => current?.[part], write.value);
+				}
+			});
+			return value;
+		}
+
+		_commitTransaction(writes) {
+			if (writes.length === 0) return;
+			const snapshot = new Map();
+			writes.forEach(({ path }) => {
+				if (!snapshot.has(path)) snapshot.set(path, this.getState(path, undefined, false));
+			});
+			try {
+				this.executeBatch(() => writes.forEach(({ path, value }) => this.setState(path, value, { source: 'transaction' })));
+			} catch (error) {
+				// Outermost paths last, so they win over restored descendants
+				[...snapshot.keys()].sort((a, b) => b.length - a.length).forEach(path => this._writePath(path, snapshot.get(path), true));
+				console.error(log.e('Transaction commit failed, affected paths restored', { paths: [...snapshot.keys()], error: error.message }, 'application'));
+				throw error;
+			}
+		}
+
+		// Raw write, no middleware or notifications. Strict mode copies the containers along the path
+		// instead of mutating them, so values handed out earlier stay valid and untouched branches are shared.
+		_writePath(path, value, removeIfUndefined = false) {
+			const remove = removeIfUndefined && value === undefined;
+			if (remove && this.getState(path, undefined, false) === undefined) return;
+			const parts = getPathParts(path);
+			const last = parts[parts.length - 1];
+			if (this.strict) {
+				const write = (node, index) => {
+					const copy = Array.isArray(node) ? [...node] : { ...(node !== null && typeof node === 'object' ? node : {}) };
+					if (index < parts.length - 1) copy[parts[index]] = write(node?.[parts[index]], index + 1);
+					else if (remove) delete copy[last];
+					else copy[last] = freezeStateValue(value);
+					return Object.freeze(copy);
+				};
+				this.state = write(this.state, 0);
+				return;
+			}
+			let current = this.state;
+			for (let i = 0; i < parts.length - 1; i++) {
+				const part = parts[i];
+				if (current[part] == null || typeof current[part] !== 'object') current[part] = {};
+				current = current[part];
+			}
+			if (remove) delete current[last];
+			else current[last] = value;
+		}
+
+		enableStrictMode() {
+			if (this.strict) return;
+			this.strict = { views: new WeakMap() }; // raw value -> Map<path, view>
+			this.state = freezeStateValue(this.state);
+			console.info(log.i('Strict state mode enabled', {}, 'framework'));
+		}
+
+		_readonlyView(value, path) {
+			if (!this.strict) return value;
+			value = unwrapStateView(value);
+			if (!isPlainContainer(value)) return value;
+			let views = this.strict.views.get(value);
+			if (!views) this.strict.views.set(value, views = new Map());
+			let view = views.get(path);
+			if (!view) {
+				// The target is an empty stand-in: proxy invariants would forbid views of nested values over a frozen target
+				view = new Proxy(Array.isArray(value) ? [] : {}, this._createViewHandler(value, path));
+				views.set(path, view);
+			}
+			return view;
+		}
+
+		_createViewHandler(raw, path) {
+			const reject = key => {
+				const target = key === undefined ? path : `${path}.${String(key)}`;
+				throw new TypeError(`Cannot mutate state at "${target}": values returned by getState are read-only in strict mode, use setState('${path}', ...) instead`);
+			};
+			return {
+				get: (target, key) => {
+					if (key === STATE_VIEW_RAW) return raw;
+					const value = Reflect.get(raw, key);
+					return typeof key === 'symbol' ? value : this._readonlyView(value, `${path}.${key}`);
+				},
+				has: (target, key) => Reflect.has(raw, key),
+				ownKeys: () => Reflect.ownKeys(raw),
+				getOwnPropertyDescriptor: (target, key) => {
+					const descriptor = Reflect.getOwnPropertyDescriptor(raw, key);
+					if (!descriptor) return undefined;
+					// An array's length is the only non-configurable property of the stand-in, so it must stay so
+					if (Array.isArray(raw) && key === 'length') return { value: raw.length, writable: true, enumerable: false, configurable: false };
+					const value = typeof key === 'symbol' ? descriptor.value : this._readonlyView(descriptor.value, `${path}.${key}`);
+					return { value, writable: false, enumerable: descriptor.enumerable, configurable: true };
+				},
+				set: (target, key) => reject(key),
+				deleteProperty: (target, key) => reject(key),
+				defineProperty: (target, key) => reject(key),
+				setPrototypeOf: () => reject(),
+				preventExtensions: () => reject()
+			};
 		}
 
 		beginBatch() {
@@ -271,9 +787,10 @@
 			updates.forEach(update => pathGroups.set(update.path, update));
 			const wasUpdating = this.isUpdating;
 			this.isUpdating = true;
+			const ownsHistoryGroup = this._beginHistoryGroup();
 			const appliedUpdates = [];
 			pathGroups.forEach(update => {
-				const oldValue = this.getState(update.path);
+				const oldValue = unwrapStateView(this.getState(update.path));
 				let finalValue = update.value;
 				for (const middleware of this.middleware) {
 					try {
@@ -286,19 +803,13 @@
 						}, 'application'));
 					}
 				}
-				if (deepEquals(oldValue, finalValue)) return;
-				const parts = getPathParts(update.path);
-				let current = this.state;
-				for (let i = 0; i < parts.length - 1; i++) {
-					const part = parts[i];
-					if (current[part] == null || typeof current[part] !== 'object') {
-						current[part] = {};
-					}
-					current = current[part];
-				}
-				current[parts[parts.length - 1]] = finalValue;
+				// Array helpers already know the write is a change, skip walking the whole list
+				if (update.context?.[ARRAY_WRITE] ? finalValue === oldValue : deepEquals(oldValue, finalValue)) return;
+				this._writePath(update.path, finalValue);
 
 				appliedUpdates.push({ path: update.path, oldValue, newValue: finalValue });
+				this._recordHistoryChange(update.path, oldValue, finalValue, update.context);
+				this._queueSyncChange(update.path, finalValue, update.context);
 			});
 			this.isUpdating = wasUpdating;
 			// Collect all parent paths that need notification
@@ -309,24 +820,82 @@
 					parentPaths.add(parts.slice(0, i).join('.'));
 				}
 			});
+			const changedPaths = new Set(appliedUpdates.map(({ path }) => path));
 			// Notify each parent path only if it has subscribers
 			parentPaths.forEach(path => {
 				if (this.subscribers.has(path)) this._triggerPathSubscribers(path);
 				if (this.externalSubscribers.has(path)) {
+					let oldValue;
+					let hasOldValue = false;
 					this.externalSubscribers.get(path).forEach(({ callback, hierarchical }) => {
+						if (!hierarchical && !changedPaths.has(path)) return;
+						if (!hasOldValue) {
+							oldValue = this._getValueBeforeUpdates(path, appliedUpdates);
+							hasOldValue = true;
+						}
 						try {
-							callback(this.getState(path), null, path);
+							callback(this.getState(path), oldValue, path);
 						} catch (error) {
 							console.error(log.e('External subscriber error:', error), 'application');
 						}
 					});
 				}
 			});
+			if (ownsHistoryGroup) this._endHistoryGroup();
+		}
+
+
+		// Value path held before a batch: the current value with each applied update below it reverted.
+		// Objects on the way are copied, so the live state is left untouched.
+		_getValueBeforeUpdates(path, appliedUpdates) {
+			let value = this.getState(path, undefined, false);
+			// Newest first, so the earliest update touching a spot decides what it held
+			for (let i = appliedUpdates.length - 1; i >= 0; i--) {
+				const update = appliedUpdates[i];
+				if (update.path === path) {
+					value = update.oldValue;
+				} else if (update.path.startsWith(path + '.')) {
+					value = this._withValueAt(value, getPathParts(update.path.slice(path.length + 1)), update.oldValue);
+				} else if (path.startsWith(update.path + '.')) {
+					value = getPathParts(path.slice(update.path.length + 1)).reduce((current, part) => current?.[part], update.oldValue);
+				}
+			}
+			return value;
 		}
 
+		_withValueAt(target, parts, value) {
+			const [part, ...rest] = parts;
+			const copy = Array.isArray(target) ? [...target] : { ...(target && typeof target === 'object' ? target : {}) };
+			if (rest.length === 0) {
+				if (value === undefined) delete copy[part];
+				else copy[part] = value;
+			} else {
+				copy[part] = this._withValueAt(target?.[part], rest, value);
+			}
+			return copy;
+		}
+
+		// include/exclude are path prefixes; component-local state (__local) is never part of a snapshot
+		serializeState(options = {}) {
+			const { include, exclude = [], space } = options;
+			let data = {};
+			if (include) {
+				include.forEach(path => {
+					const value = unwrapStateView(this.getState(path, undefined, false));
+					if (value !== undefined) data = this._withValueAt(data, getPathParts(path), value);
+				});
+			} else {
+				data = this.state;
+			}
+			[...exclude, '__local'].forEach(path => {
+				const parts = getPathParts(path);
+				if (parts.reduce((current, part) => current?.[part], data) !== undefined) data = this._withValueAt(data, parts, undefined);
+			});
+			return JSON.stringify(encodeSnapshotValue(data), null, space);
+		}
 
 		_setStateImmediate(path, value, context = {}) {
-			const oldValue = this.getState(path);
+			const oldValue = unwrapStateView(this.getState(path));
 			let finalValue = value;
 			for (const middleware of this.middleware) {
 				try {
@@ -336,19 +905,16 @@
 					console.error(log.e('Middleware error', { path, error: error.message, middlewareName: middleware.name || 'anonymous' }, 'application'));
 				}
 			}
-			if (deepEquals(oldValue, finalValue)) {
+			if (context?.[ARRAY_WRITE] ? finalValue === oldValue : deepEquals(oldValue, finalValue)) {
 				console.debug(log.d('State unchanged, skipping update', { path }, 'framework'));
 				return;
 			}
 			console.debug(log.d('State updated', { path, oldValue: typeof oldValue, newValue: typeof finalValue }, 'application'));
-			const parts = getPathParts(path);
-			let current = this.state;
-			for (let i = 0; i < parts.length - 1; i++) {
-				const part = parts[i];
-				if (current[part] == null || typeof current[part] !== 'object') current[part] = {};
-				current = current[part];
-			}
-			current[parts[parts.length - 1]] = finalValue;
+			this._writePath(path, finalValue);
+			// Writes made by subscribers while notifying join the entry of the write that caused them
+			const ownsHistoryGroup = this._beginHistoryGroup();
+			this._recordHistoryChange(path, oldValue, finalValue, context);
+			this._queueSyncChange(path, finalValue, context);
 			if (!this.isUpdating) {
 				this.isUpdating = true;
 				if (!this.currentlyUpdating) this.currentlyUpdating = new Set();
@@ -358,6 +924,7 @@
 				this.currentlyUpdating.delete(path);
 				this.isUpdating = false;
 			}
+			if (ownsHistoryGroup) this._endHistoryGroup();
 		}
 
 		subscribe(path, callback, hierarchical = true) {
@@ -389,6 +956,72 @@
 			};
 		}
 
+		// Calls back with (selected, previousSelected) only when the selector's result changes by `equals`.
+		// The selector re-runs when a path it read last time changes.
+		subscribeSelector(selector, callback, options = {}) {
+			if (typeof selector !== 'function' || typeof callback !== 'function') {
+				console.error(log.e('subscribeSelector needs a selector and a callback function', {}, 'application'));
+				return () => { };
+			}
+			const equals = options.equals || deepEquals;
+			const deps = new Map(); // path -> unsubscribe
+			let active = true;
+			let current;
+			const run = () => {
+				const previousTracking = this.currentTracking;
+				const dependencies = new Set();
+				this.currentTracking = dependencies;
+				let value;
+				try {
+					value = selector((path, defaultValue) => this.getState(path, defaultValue));
+				} finally {
+					this.currentTracking = previousTracking;
+				}
+				deps.forEach((unsubscribe, depPath) => {
+					if (!dependencies.has(depPath)) {
+						unsubscribe();
+						deps.delete(depPath);
+					}
+				});
+				dependencies.forEach(depPath => {
+					if (!deps.has(depPath)) deps.set(depPath, this.subscribeInternal(depPath, onChange));
+				});
+				return value;
+			};
+			const onChange = () => {
+				if (!active) return;
+				let next;
+				try {
+					next = run();
+				} catch (error) {
+					console.error(log.e('Selector error', { error: error.message }, 'application'));
+					return;
+				}
+				if (equals(current, next)) return;
+				const previous = current;
+				current = next;
+				// Reads inside the callback must not become dependencies of the subscriber that triggered it
+				const triggerTracking = this.currentTracking;
+				this.currentTracking = null;
+				try {
+					callback(next, previous);
+				} finally {
+					this.currentTracking = triggerTracking;
+				}
+			};
+			try {
+				current = run();
+			} catch (error) {
+				console.error(log.e('Selector error', { error: error.message }, 'application'));
+			}
+			if (options.fireImmediately) callback(current, undefined);
+			return () => {
+				active = false;
+				deps.forEach(unsubscribe => unsubscribe());
+				deps.clear();
+			};
+		}
+
 		_notifySubscribers(path, newValue, oldValue) {
 			this._triggerPathSubscribers(path);
 			const parts = getPathParts(path);
@@ -468,6 +1101,575 @@
 			this.currentTracking = null;
 			return tracking || new Set();
 		}
+
+		// Computed paths are read-only, memoized and re-evaluated only when a path read by fn changes
+		defineComputed(path, fn) {
+			if (!isValidPath(path) || typeof fn !== 'function') {
+				console.error(log.e('Invalid computed definition', { path }, 'application'));
+				return () => { };
+			}
+			if (this.computed.has(path)) this.removeComputed(path);
+			console.debug(log.d('Computed path defined', { path }, 'framework'));
+			this.computed.set(path, { fn, value: undefined, dirty: true, computing: false, deps: new Map() });
+			return () => this.removeComputed(path);
+		}
+
+		removeComputed(path) {
+			const entry = this.computed.get(path);
+			if (!entry) return;
+			entry.deps.forEach(unsubscribe => unsubscribe());
+			this.computed.delete(path);
+		}
+
+		isComputed(path) {
+			return this.computed.size > 0 && !!this._findComputedPath(path);
+		}
+
+		_findComputedPath(path) {
+			if (this.computed.has(path)) return path;
+			for (const computedPath of this.computed.keys()) {
+				if (path.startsWith(computedPath + '.')) return computedPath;
+			}
+			return null;
+		}
+
+		_getComputedState(computedPath, path, defaultValue) {
+			const entry = this.computed.get(computedPath);
+			if (entry.dirty) this._evaluateComputed(computedPath, entry);
+			let current = entry.value;
+			for (const part of getPathParts(path.slice(computedPath.length))) {
+				if (current?.[part] === undefined) return defaultValue;
+				current = current[part];
+			}
+			return current === undefined ? defaultValue : current;
+		}
+
+		_evaluateComputed(path, entry) {
+			if (entry.computing) {
+				console.warn(log.w('Circular computed dependency detected', { path }, 'framework'));
+				return;
+			}
+			const previousTracking = this.currentTracking;
+			const dependencies = new Set();
+			entry.computing = true;
+			this.currentTracking = dependencies;
+			try {
+				entry.value = entry.fn((depPath, defaultValue) => this.getState(depPath, defaultValue));
+			} catch (error) {
+				console.error(log.e('Computed evaluation failed', { path, error: error.message }, 'application'));
+			} finally {
+				this.currentTracking = previousTracking;
+				entry.computing = false;
+				entry.dirty = false;
+			}
+			// Re-subscribe to exactly the paths read in this run, so unused branches stop triggering work
+			entry.deps.forEach((unsubscribe, depPath) => {
+				if (!dependencies.has(depPath)) {
+					unsubscribe();
+					entry.deps.delete(depPath);
+				}
+			});
+			dependencies.forEach(depPath => {
+				if (depPath !== path && !entry.deps.has(depPath)) {
+					entry.deps.set(depPath, this.subscribeInternal(depPath, () => this._recomputeComputed(path)));
+				}
+			});
+		}
+
+		// History: each top-level setState or executeBatch becomes one entry of { changes: [{ path, oldValue, newValue }] }
+		enableHistory(options = {}) {
+			this.history = {
+				paths: options.paths || [],
+				maxDepth: options.maxDepth || 100,
+				statusPath: options.statusPath || null,
+				past: [],
+				future: [],
+				group: null,
+				applying: false
+			};
+			console.info(log.i('State history enabled', { paths: this.history.paths, maxDepth: this.history.maxDepth }, 'framework'));
+			this._updateHistoryStatus();
+		}
+
+		disableHistory() {
+			this.history = null;
+		}
+
+		canUndo() {
+			return !!this.history && this.history.past.length > 0;
+		}
+
+		canRedo() {
+			return !!this.history && this.history.future.length > 0;
+		}
+
+		undo() {
+			if (!this.canUndo()) return false;
+			const entry = this.history.past.pop();
+			this._applyHistoryEntry(entry, 'oldValue');
+			this.history.future.push(entry);
+			this._updateHistoryStatus();
+			return true;
+		}
+
+		redo() {
+			if (!this.canRedo()) return false;
+			const entry = this.history.future.pop();
+			this._applyHistoryEntry(entry, 'newValue');
+			this.history.past.push(entry);
+			this._updateHistoryStatus();
+			return true;
+		}
+
+		// index 0 is the state before the oldest recorded entry, getHistory().index is the present
+		jumpTo(index) {
+			if (!this.history) return false;
+			const target = Math.max(0, Math.min(index, this.history.past.length + this.history.future.length));
+			while (this.history.past.length > target) this.undo();
+			while (this.history.past.length < target) this.redo();
+			return true;
+		}
+
+		getHistory() {
+			if (!this.history) return { enabled: false, index: 0, length: 0, past: [], future: [] };
+			const { past, future } = this.history;
+			return {
+				enabled: true,
+				index: past.length,
+				length: past.length + future.length,
+				past: past.map(entry => entry.changes.map(change => change.path)),
+				future: future.slice().reverse().map(entry => entry.changes.map(change => change.path))
+			};
+		}
+
+		clearHistory() {
+			if (!this.history) return;
+			this.history.past = [];
+			this.history.future = [];
+			this.history.group = null;
+			this._updateHistoryStatus();
+		}
+
+		_isHistoryTracked(path) {
+			const { paths, statusPath } = this.history;
+			if (statusPath && (path === statusPath || path.startsWith(statusPath + '.'))) return false;
+			return paths.length === 0 || matchesPathPrefixes(path, paths);
+		}
+
+		_beginHistoryGroup() {
+			if (!this.history || this.history.applying || this.history.group) return false;
+			this.history.group = [];
+			return true;
+		}
+
+		_recordHistoryChange(path, oldValue, newValue, context = {}) {
+			if (!this.history?.group || context?.skipHistory || !this._isHistoryTracked(path)) return;
+			this.history.group.push({ path, oldValue, newValue });
+		}
+
+		_endHistoryGroup() {
+			const changes = this.history?.group;
+			if (!changes) return;
+			this.history.group = null;
+			if (changes.length === 0) return;
+			this.history.past.push({ changes, timestamp: Date.now() });
+			if (this.history.past.length > this.history.maxDepth) this.history.past.shift();
+			this.history.future = [];
+			this._updateHistoryStatus();
+		}
+
+		// Undo writes oldValues newest-first, redo writes newValues oldest-first, in one batch
+		_applyHistoryEntry(entry, valueKey) {
+			const changes = valueKey === 'oldValue' ? entry.changes.slice().reverse() : entry.changes;
+			this.history.applying = true;
+			try {
+				this.executeBatch(() => {
+					changes.forEach(change => this.setState(change.path, change[valueKey], { source: 'history' }));
+				});
+			} finally {
+				this.history.applying = false;
+			}
+		}
+
+		_updateHistoryStatus() {
+			const statusPath = this.history?.statusPath;
+			if (!statusPath) return;
+			const { past, future } = this.history;
+			this.setState(statusPath, { canUndo: past.length > 0, canRedo: future.length > 0, index: past.length, length: past.length + future.length });
+		}
+
+		// Persistence: stores { version, data: { [path]: value } } under one key; writes are throttled
+		enablePersistence(options = {}) {
+			const adapter = createStorageAdapter(options.adapter, options);
+			if (!adapter) {
+				console.warn(log.w('Persistence adapter unavailable, state will not persist', { adapter: String(options.adapter || 'localStorage') }, 'framework'));
+				return Promise.resolve(false);
+			}
+			const paths = options.paths || [];
+			this.persistence = {
+				adapter,
+				paths,
+				key: options.key || 'juris-state',
+				version: options.version || 1,
+				migrations: options.migrations || {},
+				throttle: options.throttle ?? 300,
+				timer: null,
+				lastSaved: null,
+				hydrated: false,
+				unsubscribers: []
+			};
+			// External subscribers only see writes at or below their path, so watch each top-level key
+			const roots = new Set(paths.map(path => getPathParts(path)[0]));
+			this.persistence.unsubscribers = [...roots].map(root => this.subscribe(root, () => this._schedulePersist()));
+			if (typeof window !== 'undefined') {
+				const flush = () => this.flushPersistence();
+				window.addEventListener('pagehide', flush);
+				this.persistence.unsubscribers.push(() => window.removeEventListener('pagehide', flush));
+			}
+			console.info(log.i('State persistence enabled', { key: this.persistence.key, paths, version: this.persistence.version }, 'framework'));
+			return this._rehydrate();
+		}
+
+		disablePersistence() {
+			if (!this.persistence) return;
+			clearTimeout(this.persistence.timer);
+			this.persistence.unsubscribers.forEach(unsubscribe => unsubscribe());
+			this.persistence = null;
+		}
+
+		flushPersistence() {
+			const persistence = this.persistence;
+			if (!persistence?.hydrated) return Promise.resolve();
+			clearTimeout(persistence.timer);
+			persistence.timer = null;
+			const data = {};
+			persistence.paths.forEach(path => {
+				const value = unwrapStateView(this.getState(path, undefined, false));
+				if (value !== undefined) data[path] = value;
+			});
+			const serialized = JSON.stringify(data);
+			if (serialized === persistence.lastSaved) return Promise.resolve();
+			persistence.lastSaved = serialized;
+			return Promise.resolve()
+				.then(() => persistence.adapter.setItem(persistence.key, { version: persistence.version, data }))
+				.catch(error => console.error(log.e('State persistence write failed', { key: persistence.key, error: error.message }, 'framework')));
+		}
+
+		clearPersistedState() {
+			if (!this.persistence) return Promise.resolve();
+			this.persistence.lastSaved = null;
+			return Promise.resolve(this.persistence.adapter.removeItem(this.persistence.key));
+		}
+
+		_schedulePersist() {
+			const persistence = this.persistence;
+			if (!persistence?.hydrated || persistence.timer) return;
+			persistence.timer = setTimeout(() => this.flushPersistence(), persistence.throttle);
+		}
+
+		// Sync adapters rehydrate before the constructor returns; async ones resolve the returned promise
+		_rehydrate() {
+			const persistence = this.persistence;
+			const apply = stored => {
+				if (this.persistence !== persistence) return false;
+				const data = this._migratePersisted(stored);
+				if (data) {
+					this.executeBatch(() => {
+						Object.entries(data).forEach(([path, value]) => {
+							if (persistence.paths.includes(path)) this.setState(path, value, { source: 'persistence', skipHistory: true });
+						});
+					});
+				}
+				persistence.hydrated = true;
+				persistence.lastSaved = data ? JSON.stringify(data) : null;
+				console.debug(log.d('State rehydrated', { key: persistence.key, restored: !!data }, 'framework'));
+				return !!data;
+			};
+			const fail = error => {
+				console.error(log.e('State rehydration failed', { key: persistence.key, error: error.message }, 'framework'));
+				persistence.hydrated = true;
+				return false;
+			};
+			try {
+				const stored = persistence.adapter.getItem(persistence.key);
+				if (stored && typeof stored.then === 'function') return stored.then(apply, fail);
+				return Promise.resolve(apply(stored));
+			} catch (error) {
+				return Promise.resolve(fail(error));
+			}
+		}
+
+		// Runs migrations[n] for every version after the stored one; stored data without a path to the current version is dropped
+		_migratePersisted(stored) {
+			const { version, migrations, key } = this.persistence;
+			if (!stored || typeof stored !== 'object' || !stored.data) return null;
+			let data = stored.data;
+			const storedVersion = stored.version || 1;
+			if (storedVersion > version) {
+				console.warn(log.w('Persisted state is newer than the app, ignoring it', { key, storedVersion, version }, 'framework'));
+				return null;
+			}
+			for (let next = storedVersion + 1; next <= version; next++) {
+				if (typeof migrations[next] !== 'function') {
+					console.warn(log.w('Missing persisted state migration, ignoring stored state', { key, version: next }, 'framework'));
+					return null;
+				}
+				try {
+					data = migrations[next](data);
+				} catch (error) {
+					console.error(log.e('Persisted state migration failed', { key, version: next, error: error.message }, 'framework'));
+					return null;
+				}
+			}
+			return data;
+		}
+
+		// Validation runs as the first middleware; 'reject' keeps the old value, 'warn' only logs, 'off' installs nothing
+		enableValidation(options = {}) {
+			const mode = options.mode || 'reject';
+			Object.entries(options.schemas || {}).forEach(([path, schema]) => this.registerSchema(path, schema));
+			if (mode === 'off') return;
+			if (this.validation) {
+				this.validation.mode = mode;
+				this.validation.onInvalid = options.onInvalid || null;
+				return;
+			}
+			const validation = { mode, onInvalid: options.onInvalid || null };
+			validation.middleware = ({ path, oldValue, newValue, context }) => {
+				if (this.schemas.size === 0 || context?.skipValidation) return undefined;
+				const errors = this.validateState(path, newValue);
+				if (errors.length === 0) return undefined;
+				const rejected = validation.mode === 'reject';
+				const details = { path, value: newValue, errors, rejected };
+				const entry = log.w('State schema violation', { path, errors: errors.map(error => `${error.path}: ${error.message}`), rejected }, 'application');
+				if (rejected) console.error(entry);
+				else console.warn(entry);
+				if (validation.onInvalid) validation.onInvalid(details);
+				return rejected ? oldValue : undefined;
+			};
+			this.validation = validation;
+			this.middleware.unshift(validation.middleware);
+			console.info(log.i('State validation enabled', { mode, schemaCount: this.schemas.size }, 'framework'));
+		}
+
+		disableValidation() {
+			if (!this.validation) return;
+			this.middleware = this.middleware.filter(middleware => middleware !== this.validation.middleware);
+			this.validation = null;
+		}
+
+		registerSchema(path, schema) {
+			if (!isValidPath(path) || !schema || typeof schema !== 'object') {
+				console.error(log.e('Invalid schema registration', { path }, 'application'));
+				return () => { };
+			}
+			this.schemas.set(path, schema);
+			return () => this.schemas.delete(path);
+		}
+
+		// Checks a value about to be written at path against every schema on, above or below it
+		validateState(path, value) {
+			const errors = [];
+			const parts = getPathParts(path);
+			this.schemas.forEach((schema, schemaPath) => {
+				const schemaParts = getPathParts(schemaPath);
+				if (schemaPath === path) {
+					validateSchema(value, schema, path, errors);
+				} else if (path.startsWith(schemaPath + '.')) {
+					const subSchema = getSubSchema(schema, parts.slice(schemaParts.length));
+					if (subSchema) validateSchema(value, subSchema, path, errors);
+				} else if (schemaPath.startsWith(path + '.')) {
+					let current = value;
+					for (const part of schemaParts.slice(parts.length)) {
+						current = current?.[part];
+					}
+					if (current !== undefined) validateSchema(current, schema, schemaPath, errors);
+				}
+			});
+			return errors;
+		}
+
+		// Cross-tab sync: local writes under `paths` are posted as { tabId, changes: [{ path, value, timestamp }] }.
+		// Remote changes are applied with context.source 'sync' and never re-broadcast.
+		enableSync(options = {}) {
+			if (this.sync) this.disableSync();
+			const channelName = options.channel || 'juris-sync';
+			const sync = {
+				paths: options.paths || [],
+				conflict: options.conflict || 'last-writer-wins',
+				tabId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+				lastWrites: new Map(), // path -> { timestamp, tabId }
+				outbox: [],
+				post: null,
+				close: null
+			};
+			const receive = message => this._receiveSyncMessage(message);
+			if (typeof BroadcastChannel !== 'undefined') {
+				const channel = new BroadcastChannel(channelName);
+				channel.onmessage = event => receive(event.data);
+				sync.post = message => channel.postMessage(message);
+				sync.close = () => channel.close();
+			} else if (typeof window !== 'undefined' && window.localStorage) {
+				// storage events fire in every other tab of the origin when the key changes
+				const storageKey = `${channelName}:message`;
+				const onStorage = event => {
+					if (event.key !== storageKey || !event.newValue) return;
+					try { receive(JSON.parse(event.newValue)); } catch (error) { console.error(log.e('Invalid sync message', { error: error.message }, 'framework')); }
+				};
+				window.addEventListener('storage', onStorage);
+				sync.post = message => window.localStorage.setItem(storageKey, JSON.stringify(message));
+				sync.close = () => window.removeEventListener('storage', onStorage);
+			} else {
+				console.warn(log.w('Cross-tab sync unavailable in this environment', { channel: channelName }, 'framework'));
+				return false;
+			}
+			this.sync = sync;
+			console.info(log.i('Cross-tab sync enabled', { channel: channelName, paths: sync.paths, tabId: sync.tabId }, 'framework'));
+			return true;
+		}
+
+		disableSync() {
+			if (!this.sync) return;
+			this.sync.close();
+			this.sync = null;
+		}
+
+		_queueSyncChange(path, value, context = {}) {
+			const sync = this.sync;
+			if (!sync || context?.source === 'sync' || !matchesPathPrefixes(path, sync.paths)) return;
+			const timestamp = Date.now();
+			sync.lastWrites.set(path, { timestamp, tabId: sync.tabId });
+			// Cascading writes and batches leave in one message
+			if (sync.outbox.length === 0) queueMicrotask(() => this._flushSyncOutbox(sync));
+			sync.outbox = sync.outbox.filter(change => change.path !== path);
+			sync.outbox.push({ path, value, timestamp });
+		}
+
+		_flushSyncOutbox(sync) {
+			const changes = sync.outbox;
+			sync.outbox = [];
+			if (this.sync !== sync || changes.length === 0) return;
+			try {
+				sync.post({ tabId: sync.tabId, changes });
+			} catch (error) {
+				console.error(log.e('Cross-tab sync post failed', { error: error.message }, 'framework'));
+			}
+		}
+
+		// Newest local write touching the same subtree as path
+		_lastLocalWrite(path) {
+			let latest = null;
+			this.sync.lastWrites.forEach((write, writtenPath) => {
+				if (matchesPathPrefixes(writtenPath, [path]) && (!latest || write.timestamp > latest.timestamp)) latest = write;
+			});
+			return latest;
+		}
+
+		_receiveSyncMessage(message) {
+			const sync = this.sync;
+			if (!sync || !message || message.tabId === sync.tabId || !Array.isArray(message.changes)) return;
+			this.executeBatch(() => {
+				message.changes.forEach(({ path, value, timestamp }) => {
+					if (!isValidPath(path) || !matchesPathPrefixes(path, sync.paths)) return;
+					const local = this._lastLocalWrite(path);
+					let finalValue = value;
+					if (typeof sync.conflict === 'function') {
+						finalValue = sync.conflict(this.getState(path, undefined, false), value, {
+							path, remoteTimestamp: timestamp, localTimestamp: local?.timestamp ?? null, remoteTabId: message.tabId
+						});
+						if (finalValue === undefined) return;
+					} else if (local && (local.timestamp > timestamp || (local.timestamp === timestamp && local.tabId > message.tabId))) {
+						// last-writer-wins: our write is newer, the other tab will receive it
+						return;
+					}
+					sync.lastWrites.set(path, { timestamp, tabId: message.tabId });
+					this.setState(path, finalValue, { source: 'sync', tabId: message.tabId, skipHistory: true });
+				});
+			});
+		}
+
+		// Array helpers build a new array that keeps untouched items by reference, so the write skips
+		// deepEquals and keyed children reuse the rows of untouched items
+		push(path, ...items) {
+			return this.insertAt(path, Infinity, ...items);
+		}
+
+		insertAt(path, index, ...items) {
+			const list = this._readArray(path);
+			if (!list) return 0;
+			if (items.length === 0) return list.length;
+			const start = index < 0 ? Math.max(list.length + index, 0) : Math.min(index, list.length);
+			const next = [...list.slice(0, start), ...items, ...list.slice(start)];
+			this._writeArray(path, next);
+			return next.length;
+		}
+
+		removeWhere(path, predicate) {
+			const list = this._readArray(path);
+			if (!list) return [];
+			const removed = [];
+			const next = list.filter((item, index) => {
+				if (!predicate(item, index)) return true;
+				removed.push(item);
+				return false;
+			});
+			if (removed.length > 0) this._writeArray(path, next);
+			return removed;
+		}
+
+		// patch is merged into matching items, or called as patch(item, index) to return the replacement
+		updateWhere(path, predicate, patch) {
+			const list = this._readArray(path);
+			if (!list) return 0;
+			let updatedCount = 0;
+			const next = list.map((item, index) => {
+				if (!predicate(item, index)) return item;
+				const updated = typeof patch === 'function' ? patch(item, index) : { ...item, ...patch };
+				if (deepEquals(item, updated)) return item;
+				updatedCount++;
+				return updated;
+			});
+			if (updatedCount > 0) this._writeArray(path, next);
+			return updatedCount;
+		}
+
+		move(path, from, to) {
+			const list = this._readArray(path);
+			if (!list || from < 0 || from >= list.length) return false;
+			const target = Math.max(0, Math.min(to, list.length - 1));
+			if (target === from) return false;
+			const next = [...list];
+			const [item] = next.splice(from, 1);
+			next.splice(target, 0, item);
+			this._writeArray(path, next);
+			return true;
+		}
+
+		// Inside a batch, helpers build on the value already queued for the path
+		_readArray(path) {
+			const queued = this.isBatching ? this.batchQueue.find(update => update.path === path) : null;
+			const value = queued ? queued.value : this.getState(path, undefined, false);
+			if (value == null) return [];
+			if (Array.isArray(value)) return value;
+			console.error(log.e('Array operation on non-array state', { path, type: typeof value }, 'application'));
+			return null;
+		}
+
+		_writeArray(path, next) {
+			this.setState(path, next, { [ARRAY_WRITE]: true });
+		}
+
+		_recomputeComputed(path) {
+			const entry = this.computed.get(path);
+			// Never read (or reset) since the last evaluation, the next getState computes it
+			if (!entry || entry.dirty || entry.computing) return;
+			const oldValue = entry.value;
+			this._evaluateComputed(path, entry);
+			if (deepEquals(oldValue, entry.value)) return;
+			console.debug(log.d('Computed path changed', { path }, 'framework'));
+			this._notifySubscribers(path, entry.value, oldValue);
+			this._notifyExternalSubscribers(path, entry.value, oldValue);
+		}
 	}
 
 	// Headless Manager
@@ -604,6 +1806,8 @@
 				if (result?.then) return this._handleAsyncComponent(promisify(result), name, props, componentStates);
 				return this._processComponentResult(result, name, props, componentStates);
 			} catch (error) {
+				// Inside an ErrorBoundary the fallback replaces the whole subtree, so nothing is rendered here
+				if (this.juris.domRenderer._captureError(error, null, { source: 'component', component: name })) return null;
 				console.error(log.e('Component creation failed', { name, error: error.message }, 'application'));
 				return this._createErrorElement(error);
 			}
@@ -903,15 +2107,7 @@
 			}
 			const states = this.componentStates.get(element);
 			if (states) {
-				states.forEach(statePath => {
-					const pathParts = statePath.split('.');
-					let current = this.juris.stateManager.state;
-					for (let i = 0; i < pathParts.length - 1; i++) {
-						if (current[pathParts[i]]) current = current[pathParts[i]];
-						else return;
-					}
-					delete current[pathParts[pathParts.length - 1]];
-				});
+				states.forEach(statePath => this.juris.stateManager._writePath(statePath, undefined, true));
 				this.componentStates.delete(element);
 			}
 			if (this.asyncPlaceholders.has(element)) this.asyncPlaceholders.delete(element);
@@ -938,6 +2134,10 @@
 		}
 
 		_replaceWithError(placeholder, error) {
+			if (this.juris.domRenderer._captureError(error, placeholder, { source: 'async-component' })) {
+				this.asyncPlaceholders.delete(placeholder);
+				return;
+			}
 			const errorElement = this._createErrorElement(error);
 			if (placeholder.parentNode) placeholder.parentNode.replaceChild(errorElement, placeholder);
 			this.asyncPlaceholders.delete(placeholder);
@@ -974,6 +2174,17 @@
 			this.asyncCache = new Map();
 			this.asyncPlaceholders = new WeakMap();
 			this.placeholderConfigs = new Map(); // elementId -> config
+			// Frame scheduler for reactive updates, off (updates run inside setState) until enableScheduler() is called
+			this.scheduler = null;
+			// Delegated event handling, off (listeners on each element) until enableEventDelegation() is called
+			this.eventDelegation = null;
+			this.portals = new WeakMap(); // anchor comment -> host element rendered into the portal target
+			this.errorBoundaries = new WeakMap(); // host element -> boundary
+			this.textKeys = new WeakMap(); // text node -> reconciliation key
+			this.liveProps = new WeakMap(); // element -> current function props, which its bindings call through
+			this.reactiveUpdates = new WeakMap(); // element -> its reactive update functions, re-run after a rebind
+			this.boundaryStack = []; // boundaries whose children are being rendered right now
+			this.hasErrorBoundaries = false; // lets reactive updates skip the boundary lookup in apps without one
 			this.defaultPlaceholder = {
 				className: 'juris-async-loading',
 				style: 'padding: 8px; background: #f0f0f0; border: 1px dashed #ccc; opacity: 0.7;',
@@ -997,10 +2208,11 @@
 
 		render(vnode) {
 			console.debug(log.d('Render started', { vnodeType: typeof vnode, isArray: Array.isArray(vnode) }, 'framework'));
+			if (isTextVnode(vnode)) return document.createTextNode(String(vnode));
 			if (!vnode || typeof vnode !== 'object') return null;
-			if (Array.isArray(vnode)) {
+			if (Array.isArray(vnode) || isFragmentVnode(vnode)) {
 				const fragment = document.createDocumentFragment();
-				vnode.forEach(child => {
+				flattenChildren(vnode).forEach(child => {
 					const childElement = this.render(child);
 					if (childElement) fragment.appendChild(childElement);
 				});
@@ -1016,11 +2228,15 @@
 				return result;
 			}
 			if (typeof tagName !== 'string' || tagName.length === 0) return null;
+			if (tagName === 'portal') return this._createPortal(props);
+			if (tagName === 'ErrorBoundary') return this._createErrorBoundary(props);
 			if (this.renderMode === 'fine-grained') return this._createElementFineGrained(tagName, props);
 			try {
 				const key = props.key || this._generateKey(tagName, props);
 				const cachedElement = this.elementCache.get(key);
-				if (cachedElement && this._canReuseElement(cachedElement, tagName, props)) {
+				// Only a detached element rendered from the same props; handing out a mounted one would move it
+				if (cachedElement && !cachedElement.parentNode && this._canReuseElement(cachedElement, tagName, props) &&
+					(vnodePropsEqual(cachedElement._jurisProps, props) || this._patchElement(cachedElement, props))) {
 					this._updateElementProperties(cachedElement, props);
 					return cachedElement;
 				}
@@ -1036,6 +2252,8 @@
 			console.debug(log.d('Creating element (fine-grained)', { tagName, propsCount: Object.keys(props).length }, 'framework'));
 			const element = document.createElement(tagName);
 			const subscriptions = [], eventListeners = [];
+			element._jurisProps = props;
+			props = this._bindLiveProps(element, props);
 
 			// Process each prop individually, handling async props with their specific handlers
 			Object.entries(props).forEach(([key, value]) => {
@@ -1062,6 +2280,136 @@
 			}
 			return element;
 		}
+
+		// The portal leaves a comment where it was declared and renders its children into a host element in the
+		// target; cleaning up the comment (when the owner is removed) cleans up and removes the host
+		_createPortal(props) {
+			const { target = document.body, key, ...hostProps } = props;
+			const anchor = document.createComment('juris-portal');
+			const targetEl = typeof target === 'string' ? document.querySelector(target) : target;
+			if (!targetEl) {
+				console.warn(log.w('Portal target not found', { target }, 'application'));
+				return anchor;
+			}
+			const host = this._createElementFineGrained('div', hostProps);
+			host.setAttribute('data-juris-portal', '');
+			host._jurisPortal = anchor; // errors inside bubble to the owner's boundaries, not the target's
+			targetEl.appendChild(host);
+			this.portals.set(anchor, host);
+			this.addEventRoot(targetEl);
+			console.debug(log.d('Portal created', { target: typeof target === 'string' ? target : targetEl.tagName }, 'framework'));
+			return anchor;
+		}
+
+		// ErrorBoundary renders its children into a host element; an error thrown by a descendant component or
+		// reactive prop swaps them for the fallback, which gets { error, reset } and can bring the children back
+		_createErrorBoundary(props) {
+			const { fallback, onError, children, key, ...hostProps } = props;
+			const host = this._createElementFineGrained('div', hostProps);
+			host.setAttribute('data-juris-boundary', '');
+			this.hasErrorBoundaries = true;
+			const boundary = {
+				error: null,
+				showingFallback: false,
+				rendering: false,
+				disposed: false,
+				outer: this.boundaryStack[this.boundaryStack.length - 1] || null,
+				subscriptions: [],
+				capture: (error, info) => {
+					if (boundary.showingFallback) {
+						// The fallback failed too: the next boundary out takes over
+						const outer = this._findBoundary(host.parentNode, false) || boundary.outer;
+						if (outer) outer.capture(error, info);
+						else console.error(log.e('ErrorBoundary fallback failed', { ...info, error: error.message }, 'application'));
+						return;
+					}
+					console.error(log.e('Error caught by ErrorBoundary', { ...info, error: error.message }, 'application'));
+					if (typeof onError === 'function') {
+						try { onError(error, info); } catch (handlerError) { console.error(log.e('ErrorBoundary onError failed:', handlerError), 'application'); }
+					}
+					if (boundary.error) return;
+					boundary.error = error;
+					// A render in progress swaps once it finishes; otherwise the swap waits until the failed update is over
+					if (!boundary.rendering) queueMicrotask(() => { if (!boundary.disposed) mount(); });
+				},
+				reset: () => {
+					if (boundary.disposed) return;
+					boundary.error = null;
+					mount();
+				}
+			};
+			const mount = () => {
+				boundary.subscriptions.forEach(unsubscribe => unsubscribe());
+				boundary.subscriptions = [];
+				Array.from(host.childNodes).forEach(child => this.cleanup(child));
+				host.textContent = '';
+				boundary.showingFallback = !!boundary.error;
+				boundary.rendering = true;
+				this.boundaryStack.push(boundary);
+				try {
+					const content = boundary.error ? this._renderBoundaryFallback(fallback, boundary) : children;
+					this._handleChildren(host, content, boundary.subscriptions);
+				} catch (error) {
+					this._captureError(error, host, { source: boundary.showingFallback ? 'fallback' : 'children' });
+				} finally {
+					this.boundaryStack.pop();
+					boundary.rendering = false;
+				}
+				if (boundary.error && !boundary.showingFallback) mount();
+			};
+			this.errorBoundaries.set(host, boundary);
+			const data = this.subscriptions.get(host) || { subscriptions: [], eventListeners: [] };
+			data.subscriptions.push(() => {
+				boundary.disposed = true;
+				boundary.subscriptions.forEach(unsubscribe => unsubscribe());
+				boundary.subscriptions = [];
+			});
+			this.subscriptions.set(host, data);
+			mount();
+			return host;
+		}
+
+		_renderBoundaryFallback(fallback, { error, reset }) {
+			if (typeof fallback === 'function') return fallback({ error, reset });
+			return fallback ?? {
+				div: {
+					className: 'juris-error-boundary',
+					children: [
+						{ p: { text: `Something went wrong: ${error.message}` } },
+						{ button: { type: 'button', text: 'Try again', onClick: reset } }
+					]
+				}
+			};
+		}
+
+		// Render errors go to the nearest ErrorBoundary above node (or the one rendering right now) and to
+		// config.onError; false means no boundary took it and the caller keeps its own fallback and logging
+		_captureError(error, node, info) {
+			const boundary = this._findBoundary(node);
+			this.juris._reportError(error, { ...info, caught: !!boundary });
+			if (!boundary) return false;
+			boundary.capture(error, info);
+			return true;
+		}
+
+		_findBoundary(node, useRenderStack = true) {
+			for (let current = node; current; current = current._jurisPortal || current.parentNode) {
+				const boundary = this.errorBoundaries.get(current);
+				if (boundary) return boundary;
+			}
+			return useRenderStack ? this.boundaryStack[this.boundaryStack.length - 1] || null : null;
+		}
+
+		_withinBoundaryOf(node, fn) {
+			const boundary = this.hasErrorBoundaries ? this._findBoundary(node, false) : null;
+			if (!boundary) return fn();
+			this.boundaryStack.push(boundary);
+			try {
+				return fn();
+			} finally {
+				this.boundaryStack.pop();
+			}
+		}
 		_handleAsyncProp(element, key, value, subscriptions) {
 			if (key === 'text') {
 				this._handleAsyncTextDirect(element, value);
@@ -1081,7 +2429,7 @@
 						this._setStaticAttribute(element, key, resolvedValue);
 					})
 					.catch(error => {
-						console.error(log.e(`Async prop '${key}' failed:`, error), 'application');
+						if (!this._captureError(error, element, { source: 'attribute' })) console.error(log.e(`Async prop '${key}' failed:`, error), 'application');
 						this._setErrorState(element, key, error.message);
 					});
 			}
@@ -1098,7 +2446,7 @@
 					element.innerHTML = resolvedHTML;
 				})
 				.catch(error => {
-					console.error(log.e('Async innerHTML failed:', error), 'application');
+					if (!this._captureError(error, element, { source: 'attribute' })) console.error(log.e('Async innerHTML failed:', error), 'application');
 					element.innerHTML = `<span class="juris-async-error">Error: ${error.message}</span>`;
 				});
 		}
@@ -1149,6 +2497,18 @@
 			return this.defaultPlaceholder;
 		}
 
+		// The loading indicator configured for an element (its own or nearest ancestor's `placeholders` entry) as a vnode
+		getPlaceholder(element) {
+			const config = this._getPlaceholderConfig(element);
+			if (config.children) return config.children;
+			const style = {};
+			(config.style || '').split(';').forEach(rule => {
+				const [prop, value] = rule.split(':').map(part => part.trim());
+				if (prop && value) style[prop.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+			});
+			return { div: { className: config.className, style, text: config.text } };
+		}
+
 		_setPlaceholder(element, key) {
 			const config = this._getPlaceholderConfig(element);
 
@@ -1258,7 +2618,7 @@
 							}
 						}
 					} catch (error) {
-						console.error(log.e('Error in children function:', error), 'application');
+						if (!this._captureError(error, element, { source: 'children' })) console.error(log.e('Error in children function:', error), 'application');
 						useOptimizedPath = false;
 						try {
 							this._updateChildren(element, []);
@@ -1307,57 +2667,90 @@
 		_childrenEqual(oldChildren, newChildren) {
 			return deepEquals && deepEquals(oldChildren, newChildren);
 		}
+		// Keyed diff: nodes whose key matches are kept (and patched when their props changed), the longest run of
+		// them that kept its relative order is never touched, and only the rest is moved, inserted or removed.
+		// Children without a key are matched by one generated from their tag and static props.
 		_reconcileChildren(parent, oldChildren, newChildren) {
 			console.debug(log.d('Reconciling children', { parentTag: parent.tagName, oldCount: oldChildren.length, newCount: Array.isArray(newChildren) ? newChildren.length : (newChildren ? 1 : 0) }, 'framework'));
-			if (!Array.isArray(newChildren)) {
-				newChildren = newChildren ? [newChildren] : [];
-			}
+			if (newChildren === "ignore") return oldChildren;
+			newChildren = flattenChildren(newChildren);
 			const newChildElements = [];
-			const fragment = document.createDocumentFragment();
+			const oldIndexes = []; // per new child: index in oldChildren when reused, -1 when rendered fresh
 			const oldChildrenByKey = new Map();
 			oldChildren.forEach((child, index) => {
-				const key = child._jurisKey || `auto-${index}`;
-				oldChildrenByKey.set(key, child);
+				const key = (child.nodeType === Node.TEXT_NODE ? this.textKeys.get(child) : child._jurisKey ||
+					(child._jurisProps && this._generateKey(child.localName, child._jurisProps))) || `auto-${index}`;
+				oldChildrenByKey.set(key, { element: child, index });
 			});
 			const usedElements = new Set();
-			newChildren.forEach((newChild, index) => {
+			let textCount = 0;
+			newChildren.forEach(newChild => {
+				if (isTextVnode(newChild)) {
+					// Text is matched by its order among the text children, so keyed siblings moving or
+					// appearing around it leave it in place; a reused node only has its value swapped
+					const key = `#text-${textCount++}`;
+					const existing = oldChildrenByKey.get(key);
+					const text = String(newChild);
+					if (existing && existing.element.nodeType === Node.TEXT_NODE) {
+						if (existing.element.nodeValue !== text) existing.element.nodeValue = text;
+						newChildElements.push(existing.element);
+						oldIndexes.push(existing.index);
+						usedElements.add(existing.element);
+						oldChildrenByKey.delete(key);
+					} else {
+						const textNode = document.createTextNode(text);
+						this.textKeys.set(textNode, key);
+						newChildElements.push(textNode);
+						oldIndexes.push(-1);
+					}
+					return;
+				}
 				if (!newChild || typeof newChild !== 'object') return;
 				const tagName = Object.keys(newChild)[0];
 				const props = newChild[tagName] || {};
-				const key = props.key || this._generateKey(tagName, props);
-				const existingElement = oldChildrenByKey.get(key);
+				const key = props.key || this._generateKey(tagName.toLowerCase(), props);
+				const existing = oldChildrenByKey.get(key);
+				const existingElement = existing?.element;
 				if (existingElement &&
 					!usedElements.has(existingElement) &&
 					this._canReuseElement(existingElement, tagName, props) &&
-					!this._wouldCreateCircularReference(parent, existingElement)) {
+					!this._wouldCreateCircularReference(parent, existingElement) &&
+					(vnodePropsEqual(existingElement._jurisProps, props) || this._patchElement(existingElement, props))) {
 
-					if (existingElement.parentNode) {
-						existingElement.parentNode.removeChild(existingElement);
-					}
-					this._updateElementProperties(existingElement, props);
 					newChildElements.push(existingElement);
-					fragment.appendChild(existingElement);
+					oldIndexes.push(existing.index);
 					usedElements.add(existingElement);
 					oldChildrenByKey.delete(key);
 				} else {
 					const newElement = this.render(newChild);
 					if (newElement && !this._wouldCreateCircularReference(parent, newElement)) {
 						newElement._jurisKey = key;
+						newElement._jurisProps = props;
 						newChildElements.push(newElement);
-						fragment.appendChild(newElement);
+						oldIndexes.push(-1);
 					}
 				}
 			});
-			oldChildrenByKey.forEach(unusedChild => {
+			oldChildrenByKey.forEach(({ element: unusedChild }) => {
 				if (!usedElements.has(unusedChild)) {
 					this._recycleElement(unusedChild);
 				}
 			});
 			try {
-				parent.textContent = '';
-				if (fragment.hasChildNodes()) {
-					parent.appendChild(fragment);
+				const stable = longestIncreasingSubsequence(oldIndexes);
+				let anchor = null;
+				for (let i = newChildElements.length - 1; i >= 0; i--) {
+					const child = newChildElements[i];
+					if (!stable.has(i) || child.parentNode !== parent) parent.insertBefore(child, anchor);
+					anchor = child;
 				}
+				// Anything else left in the parent (placeholders, stale nodes) was not produced by this list
+				const keep = new Set(newChildElements);
+				Array.from(parent.childNodes).forEach(node => {
+					if (keep.has(node)) return;
+					this.cleanup(node);
+					parent.removeChild(node);
+				});
 			} catch (error) {
 				console.error(log.e('Error in reconcileChildren:', error), 'framework');
 				parent.textContent = '';
@@ -1399,7 +2792,12 @@
 		}
 
 		_recycleElement(element) {
-			if (!element || !element.tagName) return;
+			if (!element) return;
+			if (!element.tagName) {
+				this.cleanup(element);
+				element.parentNode?.removeChild(element);
+				return;
+			}
 			const tagName = element.tagName.toLowerCase();
 			if (element.parentNode) {
 				element.parentNode.removeChild(element);
@@ -1441,7 +2839,7 @@
 					this.asyncPlaceholders.delete(element);
 				})
 				.catch(error => {
-					console.error(log.e('Async children failed:', error), 'application');
+					if (!this._captureError(error, element, { source: 'children' })) console.error(log.e('Async children failed:', error), 'application');
 					placeholder.textContent = `Error loading content: ${error.message}`;
 					placeholder.className = 'juris-async-error';
 				});
@@ -1449,6 +2847,21 @@
 
 		_handleReactiveChildren(element, childrenFn, subscriptions) {
 			let lastChildrenResult = null, isInitialized = false;
+			// Keyed lists are diffed so unchanged rows keep their nodes; anything else is rebuilt
+			let keyedElements = null;
+			const applyChildren = children => {
+				children = flattenChildren(children);
+				const isKeyed = children.some(child => {
+					const tagName = child && typeof child === 'object' ? Object.keys(child)[0] : null;
+					return tagName && child[tagName]?.key != null;
+				});
+				if (isKeyed) {
+					keyedElements = this._reconcileChildren(element, keyedElements || [], children);
+				} else {
+					keyedElements = null;
+					this._updateChildren(element, children);
+				}
+			};
 			const updateChildren = () => {
 				try {
 					const result = childrenFn(element);
@@ -1456,21 +2869,21 @@
 						promisify(result)
 							.then(resolvedResult => {
 								if (resolvedResult !== "ignore" && (!isInitialized || !deepEquals(resolvedResult, lastChildrenResult))) {
-									this._updateChildren(element, resolvedResult);
+									applyChildren(resolvedResult);
 									lastChildrenResult = resolvedResult;
 									isInitialized = true;
 								}
 							})
-							.catch(error => console.error(log.e('Error in async reactive children:', error), 'application'));
+							.catch(error => { if (!this._captureError(error, element, { source: 'children' })) console.error(log.e('Error in async reactive children:', error), 'application'); });
 					} else {
 						if (result !== "ignore" && (!isInitialized || !deepEquals(result, lastChildrenResult))) {
-							this._updateChildren(element, result);
+							applyChildren(result);
 							lastChildrenResult = result;
 							isInitialized = true;
 						}
 					}
 				} catch (error) {
-					console.error(log.e('Error in reactive children function:', error), 'application');
+					if (!this._captureError(error, element, { source: 'children' })) console.error(log.e('Error in reactive children function:', error), 'application');
 				}
 			};
 			this._createReactiveUpdate(element, updateChildren, subscriptions);
@@ -1478,18 +2891,13 @@
 
 		_updateChildren(element, children) {
 			if (children === "ignore") return;
-			Array.from(element.children).forEach(child => this.cleanup(child));
+			Array.from(element.childNodes).forEach(child => this.cleanup(child));
 			element.textContent = '';
 			const fragment = document.createDocumentFragment();
-			if (Array.isArray(children)) {
-				children.forEach(child => {
-					const childElement = this.render(child);
-					if (childElement) fragment.appendChild(childElement);
-				});
-			} else if (children) {
-				const childElement = this.render(children);
+			flattenChildren(children).forEach(child => {
+				const childElement = this.render(child);
 				if (childElement) fragment.appendChild(childElement);
-			}
+			});
 			if (fragment.hasChildNodes()) element.appendChild(fragment);
 		}
 
@@ -1518,7 +2926,7 @@
 					if (config.style) element.style.cssText = '';
 				})
 				.catch(error => {
-					console.error(log.e('Async text failed:', error), 'application');
+					if (!this._captureError(error, element, { source: 'text' })) console.error(log.e('Async text failed:', error), 'application');
 					element.textContent = `Error: ${error.message}`;
 					element.classList.add('juris-async-error');
 				});
@@ -1538,7 +2946,7 @@
 									isInitialized = true;
 								}
 							})
-							.catch(error => console.error(log.e('Error in async reactive text:', error), 'application'));
+							.catch(error => { if (!this._captureError(error, element, { source: 'text' })) console.error(log.e('Error in async reactive text:', error), 'application'); });
 					} else {
 						if (!isInitialized || result !== lastTextValue) {
 							element.textContent = result;
@@ -1547,7 +2955,7 @@
 						}
 					}
 				} catch (error) {
-					console.error(log.e('Error in reactive text function:', error), 'application');
+					if (!this._captureError(error, element, { source: 'text' })) console.error(log.e('Error in reactive text function:', error), 'application');
 				}
 			};
 
@@ -1589,7 +2997,7 @@
 						Object.assign(element.style, resolvedStyle);
 					}
 				})
-				.catch(error => console.error(log.e('Async style failed:', error), 'application'));
+				.catch(error => { if (!this._captureError(error, element, { source: 'style' })) console.error(log.e('Async style failed:', error), 'application'); });
 		}
 
 		_handleReactiveStyle(element, styleFn, subscriptions) {
@@ -1608,7 +3016,7 @@
 									}
 								}
 							})
-							.catch(error => console.error(log.e('Error in async reactive style:', error), 'application'));
+							.catch(error => { if (!this._captureError(error, element, { source: 'style' })) console.error(log.e('Error in async reactive style:', error), 'application'); });
 					} else {
 						if (!isInitialized || !deepEquals(result, lastStyleValue)) {
 							if (typeof result === 'object') {
@@ -1619,7 +3027,7 @@
 						}
 					}
 				} catch (error) {
-					console.error(log.e('Error in reactive style function:', error), 'application');
+					if (!this._captureError(error, element, { source: 'style' })) console.error(log.e('Error in reactive style function:', error), 'application');
 				}
 			};
 			this._createReactiveUpdate(element, updateStyle, subscriptions);
@@ -1632,8 +3040,9 @@
 				this.elementCache.set(key, element);
 				element._jurisKey = key;
 			}
+			element._jurisProps = props;
 			const subscriptions = [], eventListeners = [];
-			this._processProperties(element, props, subscriptions, eventListeners);
+			this._processProperties(element, this._bindLiveProps(element, props), subscriptions, eventListeners);
 			if (subscriptions.length > 0 || eventListeners.length > 0) {
 				this.subscriptions.set(element, { subscriptions, eventListeners });
 			}
@@ -1658,7 +3067,21 @@
 
 		_handleEvent(element, eventName, handler, eventListeners) {
 			console.debug(log.d('Event handler attached', { tagName: element.tagName, eventName }, 'framework'));
-			if (eventName === 'onclick') {
+			// Modifiers follow the prop name: onClick.prevent, onKeydown.enter, onKeydown.ctrl.s
+			const [propName, ...modifiers] = eventName.split('.');
+			if (modifiers.length > 0) handler = createModifiedEventHandler(element, handler, modifiers);
+			if (this.scheduler) {
+				// Updates caused by the user's own input take the fast lane
+				const userHandler = handler;
+				handler = event => this.runWithPriority('user-input', () => userHandler(event));
+			}
+			const actualEventName = this.eventMap[propName.toLowerCase()] || propName.slice(2).toLowerCase();
+			if (this.eventDelegation && this._delegateEvent(element, actualEventName, handler)) {
+				// touch-action: manipulation removes the tap delay the touch listeners below work around
+				if (actualEventName === 'click') element.style.touchAction = 'manipulation';
+				return;
+			}
+			if (propName === 'onclick') {
 				element.style.touchAction = 'manipulation';
 				element.style.webkitTapHighlightColor = 'transparent';
 				element.style.webkitTouchCallout = 'none';
@@ -1697,12 +3120,77 @@
 					{ eventName: 'touchend', handler: touchEnd }
 				);
 			} else {
-				const actualEventName = this.eventMap[eventName.toLowerCase()] || eventName.slice(2).toLowerCase();
 				element.addEventListener(actualEventName, handler);
 				eventListeners.push({ eventName: actualEventName, handler });
 			}
 		}
 
+		// Delegation: one listener per event type on each root (render containers, plus the document for nodes
+		// mounted elsewhere); handlers live in a WeakMap per element and run from the target up
+		enableEventDelegation() {
+			if (this.eventDelegation) return;
+			this.eventDelegation = {
+				roots: new Set(),
+				types: new Set(),
+				handlers: new WeakMap(), // element -> Map<eventType, handler[]>
+				dispatched: new WeakSet(), // events already handled by an inner root
+				listener: event => this._dispatchDelegatedEvent(event)
+			};
+			if (typeof document !== 'undefined') this.addEventRoot(document);
+			console.info(log.i('Event delegation enabled', {}, 'framework'));
+		}
+
+		addEventRoot(root) {
+			const delegation = this.eventDelegation;
+			if (!delegation || !root || delegation.roots.has(root)) return;
+			delegation.roots.add(root);
+			delegation.types.forEach(type => root.addEventListener(type, delegation.listener));
+		}
+
+		_delegateEvent(element, type, handler) {
+			const delegation = this.eventDelegation;
+			if (NON_BUBBLING_EVENTS.includes(type)) return false;
+			// Already mounted outside every root (enhanced markup): a root listener would never see its events
+			if (element.isConnected && ![...delegation.roots].some(root => root.contains(element))) return false;
+			let handlers = delegation.handlers.get(element);
+			if (!handlers) delegation.handlers.set(element, handlers = new Map());
+			if (!handlers.has(type)) handlers.set(type, []);
+			handlers.get(type).push(handler);
+			if (!delegation.types.has(type)) {
+				delegation.types.add(type);
+				delegation.roots.forEach(root => root.addEventListener(type, delegation.listener));
+			}
+			return true;
+		}
+
+		_dispatchDelegatedEvent(event) {
+			const delegation = this.eventDelegation;
+			if (!delegation || delegation.dispatched.has(event)) return;
+			// The first root to see the event walks the whole ancestry, so nested roots never run a handler twice
+			delegation.dispatched.add(event);
+			let node = event.target;
+			try {
+				while (node) {
+					const handlers = delegation.handlers.get(node)?.get(event.type);
+					if (handlers) {
+						// Handlers see the element they were declared on, as with a direct listener
+						Object.defineProperty(event, 'currentTarget', { value: node, configurable: true });
+						for (const handler of [...handlers]) {
+							try {
+								handler(event);
+							} catch (error) {
+								console.error(log.e('Delegated event handler error:', error), 'application');
+							}
+						}
+						if (event.cancelBubble) break;
+					}
+					node = node.parentNode;
+				}
+			} finally {
+				delete event.currentTarget;
+			}
+		}
+
 		_handleReactiveAttribute(element, attr, valueFn, subscriptions) {
 			let lastValue = null, isInitialized = false;
 			const updateAttribute = () => {
@@ -1717,7 +3205,7 @@
 									isInitialized = true;
 								}
 							})
-							.catch(error => console.error(log.e(`Error in async reactive attribute '${attr}':`, error), 'application'));
+							.catch(error => { if (!this._captureError(error, element, { source: 'attribute' })) console.error(log.e(`Error in async reactive attribute '${attr}':`, error), 'application'); });
 					} else {
 						if (!isInitialized || !deepEquals(result, lastValue)) {
 							this._setStaticAttribute(element, attr, result);
@@ -1726,7 +3214,7 @@
 						}
 					}
 				} catch (error) {
-					console.error(log.e(`Error in reactive attribute '${attr}':`, error), 'application');
+					if (!this._captureError(error, element, { source: 'attribute' })) console.error(log.e(`Error in reactive attribute '${attr}':`, error), 'application');
 				}
 			};
 			this._createReactiveUpdate(element, updateAttribute, subscriptions);
@@ -1800,6 +3288,8 @@
 		}
 
 		_createReactiveUpdate(element, updateFn, subscriptions) {
+			if (!this.reactiveUpdates.has(element)) this.reactiveUpdates.set(element, []);
+			this.reactiveUpdates.get(element).push(updateFn);
 			const dependencies = this.juris.stateManager.startTracking();
 			const originalTracking = this.juris.stateManager.currentTracking;
 			this.juris.stateManager.currentTracking = dependencies;
@@ -1810,12 +3300,144 @@
 			} finally {
 				this.juris.stateManager.currentTracking = originalTracking;
 			}
+			if (this.scheduler) {
+				this._createScheduledUpdate(element, updateFn, subscriptions, dependencies);
+				return;
+			}
+			// Later runs happen outside any render, so they re-enter the element's boundary for the components they create
+			const runUpdate = (...args) => this._withinBoundaryOf(element, () => updateFn(...args));
 			dependencies.forEach(path => {
-				const unsubscribe = this.juris.stateManager.subscribeInternal(path, updateFn);
+				const unsubscribe = this.juris.stateManager.subscribeInternal(path, runUpdate);
 				subscriptions.push(unsubscribe);
 			});
 		}
 
+		// Scheduler: subscribers only queue their element update. 'user-input' updates (made while a Juris event
+		// handler or runWithPriority('user-input') runs) flush in a microtask; 'background' ones flush once per
+		// animation frame, stopping after frameBudget ms and carrying the rest to the next frame.
+		// A queued update runs once per flush however many of its paths changed.
+		enableScheduler(options = {}) {
+			if (this.scheduler) return;
+			this.scheduler = {
+				frameBudget: options.frameBudget ?? 8,
+				lane: null,
+				queues: { 'user-input': new Set(), background: new Set() },
+				microtaskPending: false,
+				framePending: false
+			};
+			console.info(log.i('Render scheduler enabled', { frameBudget: this.scheduler.frameBudget }, 'framework'));
+		}
+
+		disableScheduler() {
+			if (!this.scheduler) return;
+			this.flushSync();
+			this.scheduler = null;
+		}
+
+		runWithPriority(lane, fn) {
+			const scheduler = this.scheduler;
+			if (!scheduler) return fn();
+			const previousLane = scheduler.lane;
+			scheduler.lane = lane;
+			try {
+				return fn();
+			} finally {
+				scheduler.lane = previousLane;
+			}
+		}
+
+		// Runs fn (as user input) and then every queued update, before returning
+		flushSync(fn) {
+			const result = fn ? this.runWithPriority('user-input', fn) : undefined;
+			if (this.scheduler) {
+				this._flushQueue('user-input');
+				this._flushQueue('background');
+			}
+			return result;
+		}
+
+		_createScheduledUpdate(element, updateFn, subscriptions, dependencies) {
+			const job = { element, updateFn, subscriptions, paths: new Set(dependencies), active: true };
+			job.schedule = () => this._scheduleUpdate(job);
+			dependencies.forEach(path => subscriptions.push(this.juris.stateManager.subscribeInternal(path, job.schedule)));
+			subscriptions.push(() => {
+				job.active = false;
+				this.scheduler?.queues['user-input'].delete(job);
+				this.scheduler?.queues.background.delete(job);
+			});
+		}
+
+		_scheduleUpdate(job) {
+			const scheduler = this.scheduler;
+			if (!scheduler) return this._runScheduledUpdate(job);
+			const lane = scheduler.lane || 'background';
+			if (lane === 'user-input') scheduler.queues.background.delete(job);
+			else if (scheduler.queues['user-input'].has(job)) return;
+			scheduler.queues[lane].add(job);
+			if (lane === 'user-input' && !scheduler.microtaskPending) {
+				scheduler.microtaskPending = true;
+				queueMicrotask(() => {
+					scheduler.microtaskPending = false;
+					if (this.scheduler === scheduler) this._flushQueue('user-input');
+				});
+			} else if (lane === 'background' && !scheduler.framePending) {
+				this._requestFrame(scheduler);
+			}
+		}
+
+		_requestFrame(scheduler) {
+			scheduler.framePending = true;
+			const onFrame = () => {
+				scheduler.framePending = false;
+				if (this.scheduler === scheduler) this._flushQueue('background', scheduler.frameBudget);
+			};
+			if (typeof requestAnimationFrame === 'function') requestAnimationFrame(onFrame);
+			else setTimeout(onFrame, 16);
+		}
+
+		_flushQueue(lane, budget = Infinity) {
+			const scheduler = this.scheduler;
+			const queue = scheduler.queues[lane];
+			const startTime = performance.now();
+			let passes = 0;
+			// Updates can queue more updates; those run in the same flush
+			while (queue.size > 0 && passes++ < this.juris.stateManager.maxUpdateDepth) {
+				for (const job of [...queue]) {
+					queue.delete(job);
+					this.runWithPriority(lane, () => this._runScheduledUpdate(job));
+					if (performance.now() - startTime > budget) {
+						if (queue.size > 0) this._requestFrame(scheduler);
+						return;
+					}
+				}
+			}
+			if (queue.size > 0) {
+				console.warn(log.w('Scheduled updates keep re-queuing, dropping the rest', { lane, pending: queue.size }, 'framework'));
+				queue.clear();
+			}
+		}
+
+		_runScheduledUpdate(job) {
+			if (!job.active) return;
+			const stateManager = this.juris.stateManager;
+			const previousTracking = stateManager.currentTracking;
+			const dependencies = new Set();
+			stateManager.currentTracking = dependencies;
+			try {
+				this._withinBoundaryOf(job.element, () => job.updateFn(job.element));
+			} catch (error) {
+				console.error(log.e('Error in scheduled update:', error), 'application');
+			} finally {
+				stateManager.currentTracking = previousTracking;
+			}
+			// A path read for the first time (another branch taken) has to schedule this update as well
+			dependencies.forEach(path => {
+				if (job.paths.has(path)) return;
+				job.paths.add(path);
+				job.subscriptions.push(stateManager.subscribeInternal(path, job.schedule));
+			});
+		}
+
 		updateElementContent(element, newContent) {
 			this._updateChildren(element, [newContent]);
 		}
@@ -1823,6 +3445,16 @@
 			this.placeholderConfigs.set(elementId, { ...this.defaultPlaceholder, ...config });
 		}
 		cleanup(element) {
+			// Text and comment nodes hold nothing, except a portal's comment, which owns the host it rendered into
+			if (element.nodeType === Node.TEXT_NODE || element.nodeType === Node.COMMENT_NODE) {
+				const host = this.portals.get(element);
+				if (host) {
+					this.portals.delete(element);
+					this.cleanup(host);
+					host.parentNode?.removeChild(host);
+				}
+				return;
+			}
 			console.debug(log.d('Cleaning up element', { tagName: element.tagName, hasSubscriptions: this.subscriptions.has(element) }, 'framework'));
 			this.juris.componentManager.cleanup(element);
 			const data = this.subscriptions.get(element);
@@ -1836,9 +3468,12 @@
 				this.subscriptions.delete(element);
 			}
 			if (element._jurisKey) this.elementCache.delete(element._jurisKey);
+			this.liveProps.delete(element);
+			this.reactiveUpdates.delete(element);
+			this.eventDelegation?.handlers.delete(element);
 			if (this.asyncPlaceholders.has(element)) this.asyncPlaceholders.delete(element);
 			try {
-				Array.from(element.children || []).forEach(child => {
+				Array.from(element.childNodes || []).forEach(child => {
 					try { this.cleanup(child); } catch (error) { console.warn(log.w('Error cleaning up child element:', error), 'framework'); }
 				});
 			} catch (error) {
@@ -1891,7 +3526,8 @@
 			});
 		}
 		_canReuseElement(element, tagName, props) {
-			return element.tagName.toLowerCase() === tagName.toLowerCase();
+			if (this.portals.has(element)) return tagName === 'portal';
+			return element.tagName?.toLowerCase() === tagName.toLowerCase();
 		}
 		_updateElementProperties(element, props) {
 			Object.keys(props).forEach(key => {
@@ -1901,6 +3537,78 @@
 				}
 			});
 		}
+		// Function props are bound through a wrapper that calls the element's current one, so a reused element
+		// can be handed the closures of a newer render without re-attaching listeners or subscriptions
+		_bindLiveProps(element, props) {
+			let live = this.liveProps.get(element);
+			const bound = { ...props };
+			Object.keys(props).forEach(key => {
+				if (typeof props[key] !== 'function') return;
+				if (!live) this.liveProps.set(element, live = new Map());
+				live.set(key, props[key]);
+				bound[key] = (...args) => live.get(key)?.(...args);
+			});
+			return bound;
+		}
+
+		// Brings a reused element in line with a newer render of its key: function props are rebound and the
+		// element's reactive updates re-run, changed static props are written, static children are reconciled.
+		// Returns false when the element has to be rendered again instead.
+		_patchElement(element, props) {
+			const previous = element._jurisProps;
+			if (!previous || !element.tagName || this.portals.has(element) || this.errorBoundaries.has(element) ||
+				this.juris.componentManager.instances.has(element) || this._hasAsyncProps(props)) return false;
+			element._jurisProps = props;
+			const live = this.liveProps.get(element);
+			const added = {};
+			let rebound = false;
+			const stateManager = this.juris.stateManager;
+			const parentTracking = stateManager.currentTracking;
+			stateManager.currentTracking = null;
+			try {
+				new Set([...Object.keys(previous), ...Object.keys(props)]).forEach(key => {
+					const value = props[key];
+					if (key === 'key' || value === previous[key]) return;
+					if (live?.has(key)) {
+						// A prop that was a function stays bound; a now-static value is served as a constant
+						live.set(key, typeof value === 'function' || key.startsWith('on') ? value : () => value);
+						rebound = true;
+					} else if (typeof value === 'function') {
+						added[key] = value;
+					} else if (vnodePropsEqual(previous[key], value)) {
+						return;
+					} else if (key === 'children') {
+						this._reconcileChildren(element, Array.from(element.childNodes), value ?? []);
+					} else if (key === 'text') {
+						element.textContent = value ?? '';
+					} else if (key === 'innerHTML') {
+						element.innerHTML = value ?? '';
+					} else if (key === 'style') {
+						element.removeAttribute('style');
+						if (value && typeof value === 'object') Object.assign(element.style, value);
+					} else if (value == null) {
+						this._removeStaticAttribute(element, key);
+					} else {
+						this._setStaticAttribute(element, key, value);
+					}
+				});
+				if (rebound) this.reactiveUpdates.get(element)?.forEach(update => this._withinBoundaryOf(element, () => update(element)));
+				if (Object.keys(added).length > 0) {
+					const data = this.subscriptions.get(element) || { subscriptions: [], eventListeners: [] };
+					this._setupSyncElement(element, this._bindLiveProps(element, added), data.subscriptions, data.eventListeners);
+					this.subscriptions.set(element, data);
+				}
+			} finally {
+				stateManager.currentTracking = parentTracking;
+			}
+			return true;
+		}
+
+		_removeStaticAttribute(element, attr) {
+			if (attr === 'className') element.className = '';
+			else if (typeof element[attr] === 'boolean') element[attr] = false;
+			else element.removeAttribute(attr === 'htmlFor' ? 'for' : attr);
+		}
 		clearAsyncCache() { this.asyncCache.clear(); }
 		getAsyncStats() { return { cachedAsyncProps: this.asyncCache.size }; }
 	}
@@ -2545,10 +4253,23 @@ ${combinedScript}
 			console.info(log.i('Juris framework initializing', { hasServices: !!config.services, hasLayout: !!config.layout, hasStates: !!config.states, hasComponents: !!config.components, renderMode: config.renderMode || 'auto' }, 'framework'));
 			this.services = config.services || {};
 			this.layout = config.layout;
-			this.stateManager = new StateManager(config.states || {}, config.middleware || []);
+			this.errorHandler = typeof config.onError === 'function' ? config.onError : null;
+			this.stateManager = new StateManager(this._createInitialStates(config), config.middleware || []);
+			if (config.strict) this.stateManager.enableStrictMode();
+			// Before persistence and sync, so rehydrated and remote values are validated too
+			if (config.validation) this.stateManager.enableValidation(config.validation);
+			if (config.computed) {
+				Object.entries(config.computed).forEach(([path, fn]) => this.stateManager.defineComputed(path, fn));
+			}
+			if (config.history) this.stateManager.enableHistory(config.history === true ? {} : config.history);
+			if (config.sync) this.stateManager.enableSync(config.sync);
+			// Resolves once persisted state is applied; immediately for localStorage/sessionStorage
+			this.persistenceReady = config.persist ? this.stateManager.enablePersistence(config.persist) : Promise.resolve(false);
 			this.headlessManager = new HeadlessManager(this);
 			this.componentManager = new ComponentManager(this);
 			this.domRenderer = new DOMRenderer(this);
+			if (config.scheduler) this.domRenderer.enableScheduler(config.scheduler === true ? {} : config.scheduler);
+			if (config.eventDelegation) this.domRenderer.enableEventDelegation();
 			this.domEnhancer = new DOMEnhancer(this);
 			this.templateCompiler = new TemplateCompiler();
 			this.headlessAPIs = {};
@@ -2584,6 +4305,22 @@ ${combinedScript}
 			console.info(log.i('Juris framework initialized', { componentsCount: this.componentManager.components.size, headlessCount: this.headlessManager.components.size }, 'framework'));
 		}
 
+		// A server snapshot (JSON string or parsed) is merged over config.states and turns on the isHydration render path
+		_createInitialStates(config) {
+			const states = config.states || {};
+			if (!config.initialSnapshot) return states;
+			try {
+				const snapshot = typeof config.initialSnapshot === 'string' ? JSON.parse(config.initialSnapshot) : config.initialSnapshot;
+				const merged = mergeSnapshotState(states, decodeSnapshotValue(snapshot));
+				if (!('isHydration' in merged)) merged.isHydration = true;
+				console.info(log.i('Initial state restored from snapshot', { keys: Object.keys(merged) }, 'framework'));
+				return merged;
+			} catch (error) {
+				console.error(log.e('Invalid initial state snapshot, using config.states', { error: error.message }, 'framework'));
+				return states;
+			}
+		}
+
 		compileTemplates() {
 			const templates = document.querySelectorAll('template[data-component]');
 			const components = {};
@@ -2615,11 +4352,13 @@ ${combinedScript}
 		setupIndicators(elementId, config) {
 			this.domRenderer.setupIndicators(elementId, config);
 		}
+		getPlaceholder(element) { return this.domRenderer.getPlaceholder(element); }
 		createHeadlessContext(element = null) {
 			const context = {
 				getState: (path, defaultValue, track) => this.stateManager.getState(path, defaultValue, track),
 				setState: (path, value, context) => this.stateManager.setState(path, value, context),
 				executeBatch: (callback) => this.executeBatch(callback),
+				transaction: (fn) => this.transaction(fn),
 				subscribe: (path, callback) => this.stateManager.subscribe(path, callback),
 				services: this.services,
 				...(this.services || {}),
@@ -2653,11 +4392,15 @@ ${combinedScript}
 		executeBatch(callback) {
 			return this.stateManager.executeBatch(callback);
 		}
+		transaction(fn) {
+			return this.stateManager.transaction(fn);
+		}
 		createContext(element = null) {
 			const context = {
 				getState: (path, defaultValue, track) => this.stateManager.getState(path, defaultValue, track),
 				setState: (path, value, context) => this.stateManager.setState(path, value, context),
 				executeBatch: (callback) => this.executeBatch(callback),
+				transaction: (fn) => this.transaction(fn),
 				subscribe: (path, callback) => this.stateManager.subscribe(path, callback),
 				services: this.services,
 				...(this.services || {}),
@@ -2701,6 +4444,38 @@ ${combinedScript}
 		}
 		subscribe(path, callback, hierarchical = true) { return this.stateManager.subscribe(path, callback, hierarchical); }
 		subscribeExact(path, callback) { return this.stateManager.subscribeExact(path, callback); }
+		subscribeSelector(selector, callback, options) { return this.stateManager.subscribeSelector(selector, callback, options); }
+		defineComputed(path, fn) { return this.stateManager.defineComputed(path, fn); }
+		removeComputed(path) { return this.stateManager.removeComputed(path); }
+		undo() { return this.stateManager.undo(); }
+		redo() { return this.stateManager.redo(); }
+		jumpTo(index) { return this.stateManager.jumpTo(index); }
+		canUndo() { return this.stateManager.canUndo(); }
+		canRedo() { return this.stateManager.canRedo(); }
+		getHistory() { return this.stateManager.getHistory(); }
+		clearHistory() { return this.stateManager.clearHistory(); }
+		registerSchema(path, schema) { return this.stateManager.registerSchema(path, schema); }
+		push(path, ...items) { return this.stateManager.push(path, ...items); }
+		insertAt(path, index, ...items) { return this.stateManager.insertAt(path, index, ...items); }
+		removeWhere(path, predicate) { return this.stateManager.removeWhere(path, predicate); }
+		updateWhere(path, predicate, patch) { return this.stateManager.updateWhere(path, predicate, patch); }
+		move(path, from, to) { return this.stateManager.move(path, from, to); }
+		validateState(path, value) { return this.stateManager.validateState(path, value); }
+		serializeState(options) { return this.stateManager.serializeState(options); }
+		// Markup for the server to put in the page; read it back with Juris.readStateSnapshot()
+		embedState(options = {}) {
+			const { id = 'juris-state', ...serializeOptions } = options;
+			// Escaped so the JSON can neither close the script tag nor break inline-script parsing
+			const json = this.serializeState(serializeOptions)
+				.replace(/</g, '\\u003c')
+				.replace(/>/g, '\\u003e')
+				.replace(/&/g, '\\u0026')
+				.replace(/\u2028/g, '\\u2028')
+				.replace(/\u2029/g, '\\u2029');
+			return `<script type="application/json" id="${id}">${json}</script>`;
+		}
+		flushPersistence() { return this.stateManager.flushPersistence(); }
+		clearPersistedState() { return this.stateManager.clearPersistedState(); }
 		registerComponent(name, component) {
 			console.info(log.i('Public component registration', { name }, 'application'));
 			return this.componentManager.register(name, component);
@@ -2710,6 +4485,8 @@ ${combinedScript}
 		getHeadlessComponent(name) { return this.headlessManager.getInstance(name); }
 		initializeHeadlessComponent(name, props) { return this.headlessManager.initialize(name, props); }
 		setRenderMode(mode) { this.domRenderer.setRenderMode(mode); }
+		flushSync(fn) { return this.domRenderer.flushSync(fn); }
+		runWithPriority(lane, fn) { return this.domRenderer.runWithPriority(lane, fn); }
 		getRenderMode() { return this.domRenderer.getRenderMode(); }
 		isFineGrained() { return this.domRenderer.isFineGrained(); }
 		isBatchMode() { return this.domRenderer.isBatchMode(); }
@@ -2737,6 +4514,7 @@ ${combinedScript}
 				return;
 			}
 			const isHydration = this.getState('isHydration', false);
+			this.domRenderer.addEventRoot(containerEl);
 			try {
 				if (isHydration) {
 					this._renderWithHydration(containerEl);
@@ -2747,6 +4525,7 @@ ${combinedScript}
 				console.info(log.i('Render completed with templates', { duration: `${duration.toFixed(2)}ms`, isHydration }, 'application'));
 			} catch (error) {
 				console.error(log.e('Render failed', { error: error.message, container }, 'application'));
+				this._reportError(error, { source: 'render', caught: false });
 				this._renderError(containerEl, error);
 			}
 		}
@@ -2779,6 +4558,16 @@ ${combinedScript}
 			}
 		};
 
+		// config.onError hears about every render error (to forward it to a reporting service), caught by a boundary or not
+		_reportError(error, info) {
+			if (!this.errorHandler) return;
+			try {
+				this.errorHandler(error, info);
+			} catch (handlerError) {
+				console.error(log.e('onError handler failed', { error: handlerError.message }, 'application'));
+			}
+		}
+
 		_renderError(container, error) {
 			const errorEl = document.createElement('div');
 			errorEl.style.cssText = 'color: red; border: 2px solid red; padding: 16px; margin: 8px; background: #ffe6e6;';
@@ -2802,6 +4591,9 @@ ${combinedScript}
 		destroy() {
 			console.info(log.i('Framework destruction initiated', {}, 'application'));
 			this.cleanup();
+			this.stateManager.flushPersistence();
+			this.stateManager.disablePersistence();
+			this.stateManager.disableSync();
 			this.domEnhancer.destroy();
 			this.stateManager.subscribers.clear();
 			this.stateManager.externalSubscribers.clear();
@@ -2811,6 +4603,9 @@ ${combinedScript}
 		}
 	}
 
+	Juris.createStorageAdapter = createStorageAdapter;
+	Juris.readStateSnapshot = readStateSnapshot;
+
 	// Export
 	if (typeof window !== 'undefined') {
 		//@ts-ignore
@@ -1,5 +1,133 @@
 
 import Juris from '../node_modules/@jurisjs/juris/juris.mjs';
+// ============================================================================
+// ROUTER HISTORY BACKENDS
+// ============================================================================
+// Backends work with full routes (basePath included) and call listeners on
+// back/forward only, never for their own push/replace. Every entry has a key
+// so per-entry data such as scroll positions survives back/forward.
+
+const createEntryKey = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Browser entries keep their key in history.state; entries we did not create get one lazily
+const getBrowserEntryKey = () => {
+	if (!window.history.state?.key) {
+		window.history.replaceState({ ...(window.history.state || {}), key: createEntryKey() }, '');
+	}
+	return window.history.state.key;
+};
+
+/**
+ * HTML5 history backend, needs server rewrites for deep links (see .htaccess)
+ * @returns {import('@app-states').RouterHistory}
+ */
+const createHtml5History = () => ({
+	getLocation: () => window.location.pathname + window.location.search + window.location.hash,
+	getKey: getBrowserEntryKey,
+	push: (fullRoute) => window.history.pushState({ key: createEntryKey() }, '', fullRoute),
+	replace: (fullRoute) => window.history.replaceState({ key: getBrowserEntryKey() }, '', fullRoute),
+	go: (delta) => window.history.go(delta),
+	createHref: (fullRoute) => fullRoute,
+	listen(listener) {
+		window.addEventListener('popstate', listener);
+		return () => window.removeEventListener('popstate', listener);
+	}
+});
+
+/**
+ * Hash history backend for static hosting without rewrites: the route lives after "#"
+ * @returns {import('@app-states').RouterHistory}
+ */
+const createHashHistory = () => {
+	const documentPath = () => window.location.pathname + window.location.search;
+
+	return {
+		getLocation: () => window.location.hash.slice(1) || '/',
+		// pushState does not fire hashchange, so our own navigations are not reported back
+		getKey: getBrowserEntryKey,
+		push: (fullRoute) => window.history.pushState({ key: createEntryKey() }, '', `${documentPath()}#${fullRoute}`),
+		replace: (fullRoute) => window.history.replaceState({ key: getBrowserEntryKey() }, '', `${documentPath()}#${fullRoute}`),
+		go: (delta) => window.history.go(delta),
+		createHref: (fullRoute) => `#${fullRoute}`,
+		listen(listener) {
+			window.addEventListener('hashchange', listener);
+			return () => window.removeEventListener('hashchange', listener);
+		}
+	};
+};
+
+/**
+ * In-memory history backend for tests and non-browser environments
+ * @param {{initialEntries?: string[], initialIndex?: number}} [options]
+ * @returns {import('@app-states').RouterHistory}
+ */
+const createMemoryHistory = (options = {}) => {
+	const entries = options.initialEntries?.length ? [...options.initialEntries] : ['/'];
+	const keys = entries.map(createEntryKey);
+	let index = Math.min(Math.max(options.initialIndex ?? entries.length - 1, 0), entries.length - 1);
+	const listeners = new Set();
+
+	return {
+		getLocation: () => entries[index],
+		getKey: () => keys[index],
+		push(fullRoute) {
+			entries.splice(index + 1, entries.length, fullRoute);
+			keys.splice(index + 1, keys.length, createEntryKey());
+			index = entries.length - 1;
+		},
+		replace(fullRoute) {
+			entries[index] = fullRoute;
+		},
+		go(delta) {
+			const nextIndex = Math.min(Math.max(index + delta, 0), entries.length - 1);
+			if (nextIndex === index) return;
+			index = nextIndex;
+			listeners.forEach(listener => listener());
+		},
+		createHref: (fullRoute) => fullRoute,
+		listen(listener) {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+		getEntries: () => [...entries],
+		getIndex: () => index
+	};
+};
+
+/**
+ * Query history backend for secondary routers (modals, drawers): the route lives in one
+ * query parameter of the page URL, next to the path owned by the main router
+ * @param {{key?: string}} [options]
+ * @returns {import('@app-states').RouterHistory}
+ */
+const createQueryHistory = (options = {}) => {
+	const key = options.key || 'modal';
+
+	// The root route removes the parameter, which closes the modal
+	const hrefWith = (fullRoute) => {
+		const url = new URL(window.location.href);
+		if (fullRoute && fullRoute !== '/') {
+			url.searchParams.set(key, fullRoute);
+		} else {
+			url.searchParams.delete(key);
+		}
+		return url.pathname + url.search + url.hash;
+	};
+
+	return {
+		getLocation: () => new URLSearchParams(window.location.search).get(key) || '/',
+		getKey: getBrowserEntryKey,
+		push: (fullRoute) => window.history.pushState({ key: createEntryKey() }, '', hrefWith(fullRoute)),
+		replace: (fullRoute) => window.history.replaceState({ key: getBrowserEntryKey() }, '', hrefWith(fullRoute)),
+		go: (delta) => window.history.go(delta),
+		createHref: hrefWith,
+		listen(listener) {
+			window.addEventListener('popstate', listener);
+			return () => window.removeEventListener('popstate', listener);
+		}
+	};
+};
+
 // ============================================================================
 // SIMPLE ROUTER HEADLESS COMPONENT
 // ============================================================================
@@ -7,36 +135,105 @@ import Juris from '../node_modules/@jurisjs/juris/juris.mjs';
  * @param {Object} props - Router configuration
  * @param {boolean} [props.autoInit] - Auto-initialize the router
  * @param {string} [props.basePath] - Base path for routing
+ * @param {import('@app-states').RouteDefinition[]} [props.routes] - Declarative route table, first match wins
+ * @param {import('@app-states').NavigationGuard} [props.beforeEach] - Global guard run before every navigation
+ * @param {import('@app-states').NavigationHook} [props.afterEach] - Global hook run after every committed navigation
+ * @param {'html5'|'hash'|'memory'|'query'|import('@app-states').RouterHistory} [props.history] - History backend, defaults to html5 in browsers and memory elsewhere
+ * @param {string} [props.queryKey='modal'] - Query parameter holding the route of the 'query' backend
+ * @param {string} [props.statePath='route'] - State path the route is written to, unique per router instance
+ * @param {string[]} [props.initialEntries] - Starting routes for the memory backend, without basePath
+ * @param {false|((to: Object, from: Object, savedPosition: {x: number, y: number}|null) => {x: number, y: number}|{id: string}|false)} [props.scrollBehavior] - Scroll target after navigation, false disables scroll handling
+ * @param {boolean} [props.manageFocus] - Focus the new page heading and announce the route change
+ * @param {string} [props.focusSelector] - Element focused after navigation
+ * @param {string} [props.titleTemplate] - document.title format, "%s" is replaced by the route title
+ * @param {Array<{pattern?: string, bindings: Record<string, string|{path: string, defaultValue?: any}>}>} [props.querySync] - Query/state bindings set up on register
  * @param {import('@types').JurisContext} context - Juris context
  * @returns {import('@types').HeadlessComponent}  // ← Change this line!
  */
 const SimpleRouter = (props, context) => {
-	const { setState, getState, juris } = context;
+	const { setState, getState, subscribe, juris, logger } = context;
 
 	// Get basePath from props or default to empty string
 	const basePath = (props?.basePath || '').replace(/\/$/, ''); // Remove trailing slash
+	const routes = props?.routes || [];
+	const statePath = props?.statePath || 'route';
+	const hasWindow = typeof window !== 'undefined' && !!window.history;
+
+	// Pending lazy component loads, keyed by route definition
+	const componentLoads = new Map();
+	// Loader results of the committed chain, keyed by route definition
+	const loaderData = new Map();
+	// Aborts the loaders of a navigation that was superseded
+	let loadController = null;
+	// Matched chain and outlet depth whose loaders are still running
+	let pendingLoad = null;
+
+	const beforeHooks = props?.beforeEach ? [props.beforeEach] : [];
+	const afterHooks = props?.afterEach ? [props.afterEach] : [];
+	// Incremented per navigation so a newer navigation cancels one still waiting on guards
+	let navigationId = 0;
+	const maxRedirects = 10;
+
+	// Query strings use "+" for spaces; malformed escapes are kept as-is
+	const decodeQueryComponent = (value) => {
+		try {
+			return decodeURIComponent(value.replace(/\+/g, ' '));
+		} catch (error) {
+			return value;
+		}
+	};
 
-	const parseRoute = (route) => {
-		if (!route || typeof route !== 'string') {
-			return { path: '/', params: {}, query: {} };
+	// Repeated keys become arrays: "?tag=a&tag=b" → { tag: ['a', 'b'] }
+	const parseQuery = (queryString) => {
+		const query = {};
+
+		if (!queryString) {
+			return query;
 		}
 
-		const [pathAndQuery] = route.split('#');
-		const [path, queryString] = pathAndQuery.split('?');
+		queryString.split('&').forEach(pair => {
+			if (!pair) return;
 
-		const params = {};
-		const query = {};
+			// Only the first "=" separates key and value
+			const separatorIndex = pair.indexOf('=');
+			const key = decodeQueryComponent(separatorIndex === -1 ? pair : pair.slice(0, separatorIndex));
+			const value = separatorIndex === -1 ? '' : decodeQueryComponent(pair.slice(separatorIndex + 1));
 
-		if (queryString) {
-			queryString.split('&').forEach(pair => {
-				const [key, value] = pair.split('=');
-				if (key) {
-					query[decodeURIComponent(key)] = decodeURIComponent(value || '');
-				}
-			});
+			if (!key) return;
+
+			if (Object.prototype.hasOwnProperty.call(query, key)) {
+				query[key] = [].concat(query[key], value);
+			} else {
+				query[key] = value;
+			}
+		});
+
+		return query;
+	};
+
+	// null/undefined values are dropped, arrays are written as repeated keys
+	const stringifyQuery = (query = {}) => Object.entries(query)
+		.flatMap(([key, value]) => {
+			if (value === undefined || value === null) return [];
+			const values = Array.isArray(value) ? value : [value];
+			return values.map(item => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`);
+		})
+		.join('&');
+
+	const parseRoute = (route) => {
+		if (!route || typeof route !== 'string') {
+			return { path: '/', params: {}, query: {}, hash: '' };
 		}
 
-		return { path: path || '/', params, query };
+		const hashIndex = route.indexOf('#');
+		const pathAndQuery = hashIndex === -1 ? route : route.slice(0, hashIndex);
+		const hash = hashIndex === -1 ? '' : decodeQueryComponent(route.slice(hashIndex + 1));
+
+		const queryIndex = pathAndQuery.indexOf('?');
+		const path = queryIndex === -1 ? pathAndQuery : pathAndQuery.slice(0, queryIndex);
+		const queryString = queryIndex === -1 ? '' : pathAndQuery.slice(queryIndex + 1);
+
+		return { path: path || '/', params: {}, query: parseQuery(queryString), hash };
 	};
 
 	const stripBasePath = (fullPath) => {
@@ -63,98 +260,761 @@ const SimpleRouter = (props, context) => {
 		return basePath + normalizedPath;
 	};
 
-	const matchRoute = (currentPath, routePattern) => {
+	const createHistory = (mode) => {
+		if (mode && typeof mode === 'object') return mode;
+		if (mode === 'memory' || (!mode && !hasWindow)) {
+			return createMemoryHistory({ initialEntries: (props?.initialEntries || ['/']).map(addBasePath) });
+		}
+		if (!hasWindow) {
+			throw new Error(`SimpleRouter: "${mode}" history needs a browser, use "memory" instead`);
+		}
+		if (mode === 'query') return createQueryHistory({ key: props?.queryKey });
+		return mode === 'hash' ? createHashHistory() : createHtml5History();
+	};
+
+	const history = createHistory(props?.history);
+	// Removed again in onUnregister
+	let stopListening = null;
+	const querySyncs = [];
+
+	// Scroll, focus, title and announcements only apply to the router that owns the page path
+	const ownsPage = hasWindow && typeof document !== 'undefined' && !(typeof props?.history === 'string' && ['memory', 'query'].includes(props.history));
+	const managesScroll = ownsPage && props?.scrollBehavior !== false;
+	const managesFocus = ownsPage && props?.manageFocus !== false;
+	const focusSelector = props?.focusSelector || '[data-route-focus], main h1, main h2';
+	// Scroll positions per history entry key
+	const scrollPositions = new Map();
+	let currentEntryKey = null;
+	// Keys of the entries this router committed, in history order, so a cancelled back/forward can step back
+	const entryKeys = [];
+	// Set while history.go() undoes a cancelled back/forward, whose own pop event is not a navigation
+	let restoringEntry = false;
+	let liveRegion = null;
+
+	const afterRender = (callback) => {
+		if (typeof requestAnimationFrame === 'function') {
+			requestAnimationFrame(() => callback());
+		} else {
+			setTimeout(callback, 0);
+		}
+	};
+
+	const saveScrollPosition = () => {
+		if (managesScroll && currentEntryKey) {
+			scrollPositions.set(currentEntryKey, { x: window.scrollX, y: window.scrollY });
+		}
+	};
+
+	// Back/forward restores the saved position, new entries go to the #hash anchor or the top
+	const restoreScrollPosition = (to, from, mode) => {
+		const savedPosition = mode === 'pop' ? scrollPositions.get(currentEntryKey) || null : null;
+		const position = typeof props?.scrollBehavior === 'function'
+			? props.scrollBehavior(to, from, savedPosition)
+			: savedPosition || (to.hash ? { id: to.hash } : { x: 0, y: 0 });
+
+		if (!position) return;
+
+		if (position.id) {
+			const anchor = document.getElementById(position.id);
+			if (anchor) {
+				anchor.scrollIntoView();
+				return;
+			}
+		}
+
+		window.scrollTo(position.x || 0, position.y || 0);
+	};
+
+	const focusPage = () => {
+		const target = document.querySelector(focusSelector);
+		if (!(target instanceof HTMLElement)) return null;
+
+		// Headings are not focusable by default
+		if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+		target.focus({ preventScroll: true });
+		return target;
+	};
+
+	const announce = (message) => {
+		if (!liveRegion) {
+			liveRegion = document.createElement('div');
+			liveRegion.className = 'router-announcer';
+			liveRegion.setAttribute('role', 'status');
+			liveRegion.setAttribute('aria-live', 'polite');
+			liveRegion.setAttribute('aria-atomic', 'true');
+			liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+			document.body.appendChild(liveRegion);
+		}
+
+		// Clearing first makes screen readers repeat identical messages
+		liveRegion.textContent = '';
+		setTimeout(() => {
+			liveRegion.textContent = message;
+		}, 50);
+	};
+
+	// Meta values are either static or resolved from the matched params and query
+	const resolveMeta = (value, match, route) => (
+		typeof value === 'function' ? value(match.params, route.query || {}) : value
+	);
+
+	const getRouteTitle = (route) => {
+		const matches = resolveRoutes(route.path, routes) || [];
+		for (let i = matches.length - 1; i >= 0; i--) {
+			const meta = matches[i].route.meta;
+			const title = resolveMeta(meta?.title ?? meta?.breadcrumb, matches[i], route);
+			if (title) return title;
+		}
+		return null;
+	};
+
+	const updateDocumentTitle = (route) => {
+		if (!ownsPage) return;
+
+		const title = getRouteTitle(route);
+		if (title) {
+			document.title = props?.titleTemplate ? props.titleTemplate.replace('%s', title) : title;
+		}
+	};
+
+	const handlePageChange = (to, from, mode) => {
+		if (!managesScroll && !managesFocus) return;
+		// Query-only changes (filters, a secondary router's parameter) keep scroll and focus
+		if (to.path === from.path && to.hash === from.hash) return;
+
+		afterRender(() => {
+			if (managesScroll) restoreScrollPosition(to, from, mode);
+			if (managesFocus) {
+				const heading = focusPage();
+				announce(`Navigated to ${heading?.textContent.trim() || document.title || to.path}`);
+			}
+		});
+	};
+
+	// Child route paths are relative to their parent unless they start with "/"
+	const joinPaths = (parentPath, childPath = '') => {
+		if (childPath.startsWith('/')) return childPath;
+		const joined = `${parentPath.replace(/\/$/, '')}/${childPath}`.replace(/\/$/, '');
+		return joined || '/';
+	};
+
+	// Compiled pattern segments, keyed by pattern string
+	const patternCache = new Map();
+
+	/**
+	 * Segment syntax: `static`, `:param`, `:param?` (optional), `:param(\\d+)` (regex constraint)
+	 * and `*` or `*name` (splat, captures the rest of the path; must be last).
+	 */
+	const parseSegment = (segment) => {
+		const splat = segment.match(/^\*(\w*)$/);
+		if (splat) {
+			return { type: 'splat', name: splat[1] || '*' };
+		}
+
+		const param = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+		if (param) {
+			return {
+				type: 'param',
+				name: param[1],
+				constraint: param[2] ? new RegExp(`^(?:${param[2]})$`) : null,
+				optional: !!param[3]
+			};
+		}
+
+		return { type: 'static', value: segment };
+	};
+
+	const compilePattern = (routePattern) => {
+		if (!patternCache.has(routePattern)) {
+			patternCache.set(routePattern, routePattern.split('/').filter(Boolean).map(parseSegment));
+		}
+		return patternCache.get(routePattern);
+	};
+
+	const decodeSegment = (segment) => {
+		try {
+			return decodeURIComponent(segment);
+		} catch (error) {
+			return segment;
+		}
+	};
+
+	// Backtracks over optional segments; with exact = false trailing path segments are allowed
+	const matchSegments = (segments, currentSegments, exact, i = 0, j = 0, params = {}) => {
+		if (i === segments.length) {
+			return !exact || j === currentSegments.length ? params : null;
+		}
+
+		const segment = segments[i];
+
+		if (segment.type === 'splat') {
+			return { ...params, [segment.name]: currentSegments.slice(j).map(decodeSegment).join('/') };
+		}
+
+		if (j < currentSegments.length) {
+			const value = decodeSegment(currentSegments[j]);
+
+			if (segment.type === 'static' && segment.value === value) {
+				const result = matchSegments(segments, currentSegments, exact, i + 1, j + 1, params);
+				if (result) return result;
+			} else if (segment.type === 'param' && (!segment.constraint || segment.constraint.test(value))) {
+				const result = matchSegments(segments, currentSegments, exact, i + 1, j + 1, { ...params, [segment.name]: value });
+				if (result) return result;
+			}
+		}
+
+		return segment.optional ? matchSegments(segments, currentSegments, exact, i + 1, j, params) : null;
+	};
+
+	// Substitutes params into a pattern; missing optional segments and empty splats are dropped
+	const fillPattern = (pattern, params = {}) => pattern.split('/')
+		.map(segment => {
+			const parsed = segment ? parseSegment(segment) : { type: 'static' };
+			const value = params[parsed.name];
+
+			if (parsed.type === 'splat') {
+				return value ? String(value).split('/').map(encodeURIComponent).join('/') : null;
+			}
+			if (parsed.type === 'param') {
+				if (value !== undefined && value !== null) return encodeURIComponent(value);
+				return parsed.optional ? null : segment;
+			}
+			return segment;
+		})
+		.filter(segment => segment !== null)
+		.join('/') || '/';
+
+	// With exact = false the pattern only has to match the leading segments (used for parent routes)
+	const matchRoute = (currentPath, routePattern, exact = true) => {
 		const currentSegments = currentPath.split('/').filter(Boolean);
-		const patternSegments = routePattern.split('/').filter(Boolean);
+		return matchSegments(compilePattern(routePattern), currentSegments, exact);
+	};
+
+	const paramCoercers = {
+		number: (value) => {
+			const number = Number(value);
+			return value !== '' && !Number.isNaN(number) ? number : undefined;
+		},
+		boolean: (value) => {
+			if (value === 'true' || value === '1') return true;
+			if (value === 'false' || value === '0') return false;
+			return undefined;
+		},
+		string: (value) => value
+	};
+
+	/**
+	 * Converts matched params to the declared types
+	 * @returns {Object|null} Coerced params, or null when a value does not fit its type
+	 */
+	const coerceParams = (params, paramTypes) => {
+		if (!params || !paramTypes) return params;
+
+		const coerced = { ...params };
+		for (const [name, type] of Object.entries(paramTypes)) {
+			if (coerced[name] === undefined) continue;
+
+			const coercer = typeof type === 'function' ? type : paramCoercers[type];
+			const value = coercer ? coercer(coerced[name]) : coerced[name];
+			if (value === undefined) return null;
+			coerced[name] = value;
+		}
+		return coerced;
+	};
+
+	/**
+	 * Walks the route table and returns the matched chain from the outermost route to the leaf
+	 * @returns {Array<{route: import('@app-states').RouteDefinition, path: string, params: Record<string, string>}>|null}
+	 */
+	const resolveRoutes = (currentPath, routeList, parentPath = '', parentParams = {}) => {
+		for (const route of routeList) {
+			const fullPath = joinPaths(parentPath, route.path);
+
+			if (route.children?.length) {
+				const prefixParams = coerceParams(matchRoute(currentPath, fullPath, false), route.paramTypes);
+				if (prefixParams) {
+					const params = { ...parentParams, ...prefixParams };
+					const childChain = resolveRoutes(currentPath, route.children, fullPath, params);
+					if (childChain) {
+						return [{ route, path: fullPath, params }, ...childChain];
+					}
+				}
+			}
+
+			const exactParams = coerceParams(matchRoute(currentPath, fullPath), route.paramTypes);
+			if (exactParams) {
+				return [{ route, path: fullPath, params: { ...parentParams, ...exactParams } }];
+			}
+		}
+
+		return null;
+	};
 
-		if (currentSegments.length !== patternSegments.length) {
+	// Lazily imported routes register their component the first time they are rendered
+	const loadRouteComponent = (route) => {
+		if (!route.load || juris.getComponent(route.component)) {
 			return null;
 		}
 
-		const params = {};
+		if (!componentLoads.has(route)) {
+			const pending = Promise.resolve(route.load())
+				.then(module => {
+					const componentFn = typeof module === 'function' ? module : (module?.[route.component] || module?.default);
+					if (typeof componentFn !== 'function') {
+						throw new Error(`Route "${route.path}" did not load component "${route.component}"`);
+					}
+					juris.registerComponent(route.component, componentFn);
+				})
+				.catch(error => {
+					// Allow the next navigation to retry a failed chunk
+					componentLoads.delete(route);
+					throw error;
+				});
+			componentLoads.set(route, pending);
+		}
+
+		return componentLoads.get(route);
+	};
+
+	// Route state shape for a full URL, without committing it
+	const createLocation = (route) => {
+		// Strip basePath from incoming route for internal processing
+		const internalRoute = stripBasePath(route);
+		const parsed = parseRoute(internalRoute);
+		const matched = resolveRoutes(parsed.path, routes);
+
+		return {
+			current: internalRoute,
+			path: parsed.path,
+			params: matched ? matched[matched.length - 1].params : parsed.params,
+			query: parsed.query,
+			hash: parsed.hash,
+			fullPath: route // Keep track of the full path with basePath
+		};
+	};
 
-		for (let i = 0; i < patternSegments.length; i++) {
-			const pattern = patternSegments[i];
-			const current = currentSegments[i];
+	// Outlet depth of the first component at or below chain index `fromIndex`
+	const componentDepthFrom = (matches, fromIndex) => {
+		const componentMatches = matches.filter(match => match.route.component);
+		const depth = componentMatches.findIndex(match => matches.indexOf(match) >= fromIndex);
+		return depth === -1 ? Math.max(componentMatches.length - 1, 0) : depth;
+	};
 
-			if (pattern.startsWith(':')) {
-				params[pattern.slice(1)] = current;
-			} else if (pattern !== current) {
+	// Outlets above the first changed component keep rendering while loaders run
+	const getPendingDepth = (matches, firstLoad) => {
+		const current = api.getMatches().filter(match => match.route.component);
+		const componentMatches = matches.filter(match => match.route.component);
+		const loadDepth = componentDepthFrom(matches, matches.indexOf(firstLoad));
+		const changedDepth = componentMatches.findIndex((match, i) =>
+			current[i]?.route !== match.route || JSON.stringify(current[i].params) !== JSON.stringify(match.params)
+		);
+		return changedDepth === -1 ? loadDepth : Math.min(changedDepth, loadDepth);
+	};
+
+	const cancelLoaders = () => {
+		if (loadController) loadController.abort();
+		loadController = null;
+
+		if (pendingLoad) {
+			pendingLoad = null;
+			setState(`${statePath}.loading`, false);
+		}
+	};
+
+	/**
+	 * Runs the loaders of routes that were entered or whose params changed.
+	 * @returns {Promise<{error: Object|null}|null>} Null when a newer navigation aborted the loads
+	 */
+	const runLoaders = async (to, matches, reloadAll = false) => {
+		const loads = matches.filter(match => match.route.loader && (
+			reloadAll || loaderData.get(match.route)?.key !== JSON.stringify(match.params)
+		));
+		if (loads.length === 0) return { error: null };
+
+		cancelLoaders();
+		const controller = loadController = new AbortController();
+		pendingLoad = { matches, depth: getPendingDepth(matches, loads[0]) };
+		setState(`${statePath}.loading`, true);
+
+		const results = await Promise.all(loads.map(match => Promise.resolve()
+			.then(() => match.route.loader(match.params, to.query || {}, { signal: controller.signal, route: to }))
+			.then(data => ({ match, data }), error => ({ match, error }))
+		));
+
+		if (controller.signal.aborted) return null;
+		loadController = null;
+		pendingLoad = null;
+
+		let error = null;
+		results.forEach(result => {
+			if (!result.error) {
+				loaderData.set(result.match.route, { key: JSON.stringify(result.match.params), data: result.data });
+				return;
+			}
+
+			loaderData.delete(result.match.route);
+			console.error(logger.error('Route loader failed', { path: result.match.path, error: result.error?.message }, 'application'));
+			error = error || {
+				message: result.error?.message || String(result.error),
+				path: result.match.path,
+				depth: componentDepthFrom(matches, matches.indexOf(result.match))
+			};
+		});
+
+		return { error };
+	};
+
+	const trackEntry = (key, mode) => {
+		const position = entryKeys.indexOf(currentEntryKey);
+		if (mode === 'push') {
+			entryKeys.splice(position + 1, entryKeys.length, key);
+		} else if (mode !== 'pop' && !entryKeys.includes(key)) {
+			entryKeys.splice(Math.max(position, 0), 1, key);
+		}
+	};
+
+	// The browser already moved on pop: go back to the entry we came from, or rewrite this one when it is unknown
+	const restoreEntry = (from) => {
+		const delta = entryKeys.indexOf(currentEntryKey) - entryKeys.indexOf(history.getKey());
+		if (entryKeys.includes(currentEntryKey) && entryKeys.includes(history.getKey()) && delta !== 0) {
+			restoringEntry = true;
+			history.go(delta);
+		} else {
+			history.replace(from.fullPath);
+		}
+	};
+
+	const updateHistory = (fullRoute, mode) => {
+		if (mode === 'push') {
+			history.push(fullRoute);
+		} else if (mode === 'replace' || mode === 'initial') {
+			history.replace(fullRoute);
+		}
+	};
+
+	// A route is left (or entered) when it is not part of the other chain with the same params
+	const diffMatches = (matches, otherMatches) => matches.filter(match => !otherMatches.some(other =>
+		other.route === match.route && JSON.stringify(other.params) === JSON.stringify(match.params)
+	));
+
+	/**
+	 * Runs canLeave, beforeEach and canEnter guards in order, then the route loaders, then commits the route.
+	 * A guard returning false cancels, a string redirects to that path. A failed loader still commits,
+	 * with the error in `route.error` for RouterOutlet to render.
+	 * @param {string} fullRoute - Target URL including basePath
+	 * @param {'push'|'replace'|'pop'|'initial'} mode - How the browser history is updated; 'initial' is the
+	 *   location the router starts on, which has no route to leave
+	 * @returns {Promise<Object|null>} Committed route state, or null if cancelled
+	 */
+	const transitionTo = async (fullRoute, mode, redirectCount = 0) => {
+		const id = ++navigationId;
+		cancelLoaders();
+		const from = api.getRoute();
+		const to = createLocation(fullRoute);
+
+		const fromMatches = mode === 'initial' ? [] : resolveRoutes(from.path, routes) || [];
+		const toMatches = resolveRoutes(to.path, routes) || [];
+
+		// Outlets show their pending UI instead of the default route until the first location is committed
+		if (mode === 'initial') {
+			pendingLoad = { matches: toMatches, depth: 0 };
+			setState(`${statePath}.loading`, true);
+			// The router starts inside the Juris constructor; guards may use the instance once it has returned
+			await null;
+			if (id !== navigationId) return null;
+		}
+		const guards = [
+			...diffMatches(fromMatches, toMatches).reverse().map(match => match.route.canLeave),
+			...beforeHooks,
+			...diffMatches(toMatches, fromMatches).map(match => match.route.canEnter)
+		].filter(Boolean);
+
+		for (const guard of guards) {
+			let result;
+			try {
+				result = await guard(to, from);
+			} catch (error) {
+				console.error(logger.error('Navigation guard failed', { to: to.path, error: error.message }, 'application'));
+				result = false;
+			}
+
+			// A newer navigation started while this guard was pending
+			if (id !== navigationId) return null;
+
+			if (result === false) {
+				if (mode === 'pop') restoreEntry(from);
+				if (mode === 'initial') cancelLoaders();
 				return null;
 			}
+
+			if (typeof result === 'string') {
+				if (redirectCount >= maxRedirects) {
+					console.error(logger.error('Too many navigation redirects', { to: result }, 'application'));
+					if (mode === 'initial') cancelLoaders();
+					return null;
+				}
+				const redirectMode = mode === 'push' || mode === 'initial' ? mode : 'replace';
+				return transitionTo(addBasePath(result), redirectMode, redirectCount + 1);
+			}
 		}
 
-		return params;
+		const loaded = await runLoaders(to, toMatches);
+		if (!loaded || id !== navigationId) return null;
+
+		saveScrollPosition();
+		api.setRoute(fullRoute, loaded.error);
+		updateHistory(fullRoute, mode);
+		trackEntry(history.getKey(), mode);
+		currentEntryKey = history.getKey();
+
+		const committed = api.getRoute();
+		updateDocumentTitle(committed);
+		if (mode !== 'initial') handlePageChange(committed, from, mode);
+		afterHooks.forEach(hook => {
+			try {
+				hook(committed, from);
+			} catch (error) {
+				console.error(logger.error('afterEach hook failed', { to: committed.path, error: error.message }, 'application'));
+			}
+		});
+
+		return committed;
 	};
 
 	const api = {
-		setRoute(route) {
-			// Strip basePath from incoming route for internal processing
-			const internalRoute = stripBasePath(route);
-			const parsed = parseRoute(internalRoute);
-
-			setState('route', {
-				current: internalRoute,
-				path: parsed.path,
-				params: parsed.params,
-				query: parsed.query,
-				fullPath: route // Keep track of the full path with basePath
+		/**
+		 * Writes the route state without running guards or loaders
+		 * @param {string} route - Full URL including basePath
+		 * @param {Object|null} [error] - Loader error of the route
+		 */
+		setRoute(route, error = null) {
+			const location = createLocation(route);
+			const matches = resolveRoutes(location.path, routes) || [];
+
+			// Forget data of routes that are no longer matched so re-entering them loads again
+			loaderData.forEach((_, definition) => {
+				if (!matches.some(match => match.route === definition)) loaderData.delete(definition);
+			});
+			const withData = matches.filter(match => loaderData.has(match.route));
+
+			setState(statePath, {
+				...location,
+				loading: false,
+				data: withData.length ? loaderData.get(withData[withData.length - 1].route).data : null,
+				error
 			});
 
-			return getState('route');
+			return getState(statePath);
 		},
 
 		getRoute() {
-			return getState('route', {
+			return getState(statePath, {
 				current: '/',
 				path: '/',
 				params: {},
 				query: {},
-				fullPath: basePath ? basePath + '/' : '/'
+				hash: '',
+				fullPath: basePath ? basePath + '/' : '/',
+				loading: false,
+				data: null,
+				error: null
 			});
 		},
 
-		navigate(route) {
-			// Add basePath for browser navigation
-			const fullRoute = addBasePath(route);
-			this.setRoute(fullRoute);
+		/**
+		 * Runs every loader of the current route again, e.g. to retry after an error
+		 * @returns {Promise<Object|null>} Route state, or null if a navigation superseded the reload
+		 */
+		async reload() {
+			const id = navigationId;
+			const route = this.getRoute();
+			const loaded = await runLoaders(route, this.getMatches(route.path), true);
+			if (!loaded || id !== navigationId) return null;
 
-			if (typeof window !== 'undefined' && window.history) {
-				window.history.pushState({}, '', fullRoute);
-			}
+			return this.setRoute(route.fullPath, loaded.error);
+		},
 
-			return this.getRoute();
+		/**
+		 * Match whose pending UI the outlet at `depth` shows while loaders run.
+		 * `pendingComponent` is the nearest one defined from that depth down the chain.
+		 * @param {number} [depth=0]
+		 * @returns {{route: Object, path: string, params: Object, pendingComponent?: string}|null}
+		 */
+		getPendingMatch(depth = 0) {
+			if (!getState(`${statePath}.loading`, false) || !pendingLoad || pendingLoad.depth !== depth) return null;
+
+			const { matches } = pendingLoad;
+			const match = matches.filter(candidate => candidate.route.component)[depth];
+			if (!match) return null;
+
+			const withPending = matches.slice(matches.indexOf(match)).find(candidate => candidate.route.pendingComponent);
+			return { ...match, pendingComponent: withPending?.route.pendingComponent };
 		},
 
-		replace(route) {
+		/**
+		 * Data returned by a route's loader in the committed chain
+		 * @param {Object} route - Route definition
+		 */
+		getRouteData(route) {
+			return loaderData.get(route)?.data ?? null;
+		},
+
+		/**
+		 * Navigates after all guards allow it
+		 * @param {string} route
+		 * @returns {Promise<Object|null>} New route state, or null if a guard cancelled or a newer navigation won
+		 */
+		navigate(route) {
 			// Add basePath for browser navigation
-			const fullRoute = addBasePath(route);
-			this.setRoute(fullRoute);
+			return transitionTo(addBasePath(route), 'push');
+		},
 
-			if (typeof window !== 'undefined' && window.history) {
-				window.history.replaceState({}, '', fullRoute);
-			}
+		replace(route) {
+			// Add basePath for browser navigation
+			return transitionTo(addBasePath(route), 'replace');
+		},
 
-			return this.getRoute();
+		/**
+		 * Registers a global guard
+		 * @param {import('@app-states').NavigationGuard} guard
+		 * @returns {() => void} Removes the guard
+		 */
+		beforeEach(guard) {
+			beforeHooks.push(guard);
+			return () => {
+				const index = beforeHooks.indexOf(guard);
+				if (index !== -1) beforeHooks.splice(index, 1);
+			};
 		},
 
-		buildUrl(pattern, params = {}, query = {}) {
-			let url = pattern;
+		/**
+		 * Registers a hook called after each committed navigation
+		 * @param {import('@app-states').NavigationHook} hook
+		 * @returns {() => void} Removes the hook
+		 */
+		afterEach(hook) {
+			afterHooks.push(hook);
+			return () => {
+				const index = afterHooks.indexOf(hook);
+				if (index !== -1) afterHooks.splice(index, 1);
+			};
+		},
 
-			Object.entries(params).forEach(([key, value]) => {
-				url = url.replace(`:${key}`, encodeURIComponent(value));
-			});
+		/**
+		 * @param {string} pattern - Route pattern, params are substituted into it
+		 * @param {Object} [params]
+		 * @param {Object} [query] - Array values become repeated keys
+		 * @param {string} [hash] - Fragment without the leading "#"
+		 * @returns {string} URL including basePath
+		 */
+		buildUrl(pattern, params = {}, query = {}, hash = '') {
+			let url = fillPattern(pattern, params);
 
-			const queryString = Object.entries(query)
-				.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-				.join('&');
+			const queryString = stringifyQuery(query);
 
 			if (queryString) {
 				url += `?${queryString}`;
 			}
 
+			if (hash) {
+				url += `#${encodeURIComponent(hash)}`;
+			}
+
 			// Add basePath to the final URL
-			return addBasePath(url);
+			return history.createHref(addBasePath(url));
+		},
+
+		/**
+		 * Reads the current query string; repeated keys are arrays
+		 * @param {string} [key] - Omit to get the whole query object
+		 */
+		getQuery(key) {
+			const query = this.getRoute().query || {};
+			return key === undefined ? query : query[key];
+		},
+
+		/**
+		 * Merges values into the current query string; null/undefined removes a key
+		 * @param {Object} partial
+		 * @param {{replace?: boolean}} [options] - Replace the history entry instead of pushing
+		 * @returns {Promise<Object|null>}
+		 */
+		setQuery(partial, options = {}) {
+			const route = this.getRoute();
+			const query = { ...(route.query || {}) };
+
+			Object.entries(partial).forEach(([key, value]) => {
+				if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+					delete query[key];
+				} else {
+					query[key] = value;
+				}
+			});
+
+			const queryString = stringifyQuery(query);
+			if (queryString === stringifyQuery(route.query)) {
+				return Promise.resolve(route);
+			}
+
+			const target = `${route.path}${queryString ? `?${queryString}` : ''}${route.hash ? `#${encodeURIComponent(route.hash)}` : ''}`;
+			return options.replace ? this.replace(target) : this.navigate(target);
+		},
+
+		/**
+		 * Two-way binds query keys to state paths while the current path matches `pattern`.
+		 * The URL wins on navigation, state changes are written back with history replace.
+		 * A state value equal to its default removes the key from the URL.
+		 * @param {Record<string, string|{path: string, defaultValue?: any}>} bindings - Query key → state path
+		 * @param {{pattern?: string}} [options]
+		 * @returns {() => void} Stops syncing
+		 */
+		syncQuery(bindings, options = {}) {
+			const entries = Object.entries(bindings).map(([key, binding]) =>
+				typeof binding === 'string'
+					? { key, path: binding, defaultValue: '' }
+					: { key, path: binding.path, defaultValue: binding.defaultValue ?? '' }
+			);
+			const isActive = () => !options.pattern || matchRoute(this.getRoute().path, options.pattern) !== null;
+
+			const applyQueryToState = () => {
+				if (!isActive()) return;
+				const query = this.getRoute().query || {};
+				entries.forEach(({ key, path, defaultValue }) => {
+					const value = query[key] ?? defaultValue;
+					if (JSON.stringify(getState(path, defaultValue, false)) !== JSON.stringify(value)) {
+						setState(path, value);
+					}
+				});
+			};
+
+			const applyStateToQuery = () => {
+				if (!isActive()) return;
+				const partial = {};
+				entries.forEach(({ key, path, defaultValue }) => {
+					const value = getState(path, defaultValue, false);
+					partial[key] = value === defaultValue ? undefined : value;
+				});
+				this.setQuery(partial, { replace: true });
+			};
+
+			applyQueryToState();
+			const unsubscribers = [
+				subscribe(statePath, applyQueryToState),
+				...entries.map(({ path }) => subscribe(path, applyStateToQuery))
+			];
+
+			return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+		},
+
+		/**
+		 * Whether a link target is active: the current path starts with its segments,
+		 * or equals them when exact is set. Query and hash are ignored.
+		 * @param {string} to - Route without basePath, may include a query string
+		 * @param {boolean} [exact=false]
+		 */
+		isActive(to, exact = false) {
+			const route = this.getRoute();
+			return matchRoute(route.path, parseRoute(to).path, exact) !== null;
 		},
 
 		matches(pattern) {
@@ -162,9 +1022,95 @@ const SimpleRouter = (props, context) => {
 			return matchRoute(route.path, pattern) !== null;
 		},
 
-		getParams(pattern) {
+		/**
+		 * @param {string} pattern
+		 * @param {Record<string, 'number'|'boolean'|'string'|((value: string) => any)>} [paramTypes] - Optional coercion per param
+		 */
+		getParams(pattern, paramTypes) {
 			const route = this.getRoute();
-			return matchRoute(route.path, pattern) || {};
+			return coerceParams(matchRoute(route.path, pattern), paramTypes) || {};
+		},
+
+		getRoutes() {
+			return routes;
+		},
+
+		/**
+		 * Matched route chain for the current (or given) path, outermost first
+		 * @param {string} [path]
+		 */
+		getMatches(path) {
+			return resolveRoutes(path ?? this.getRoute().path, routes) || [];
+		},
+
+		/**
+		 * Match rendered by the RouterOutlet at the given nesting depth.
+		 * Routes without a component only group children and are skipped.
+		 * @param {number} [depth=0]
+		 */
+		getOutletMatch(depth = 0) {
+			return this.getMatches().filter(match => match.route.component)[depth] || null;
+		},
+
+		/**
+		 * Breadcrumb trail for the current route, built from `meta.breadcrumb` of the matched chain.
+		 * Resolver functions run here, so state they read is tracked by the calling reactive function.
+		 * @returns {Array<{label: string, to: string, href: string}>}
+		 */
+		getBreadcrumbs() {
+			const route = this.getRoute();
+			const crumbs = [];
+
+			this.getMatches(route.path).forEach(match => {
+				const label = resolveMeta(match.route.meta?.breadcrumb, match, route);
+				if (!label) return;
+
+				const to = fillPattern(match.path, match.params);
+				// Index routes share their parent's path, keep a single crumb for it
+				if (crumbs.length && crumbs[crumbs.length - 1].to === to) return;
+
+				crumbs.push({ label, to, href: history.createHref(addBasePath(to)) });
+			});
+
+			return crumbs;
+		},
+
+		/**
+		 * Resolved meta of the deepest matched route that defines the key
+		 * @param {string} key
+		 */
+		getMeta(key) {
+			const route = this.getRoute();
+			const matches = this.getMatches(route.path);
+			for (let i = matches.length - 1; i >= 0; i--) {
+				const value = matches[i].route.meta?.[key];
+				if (value !== undefined) return resolveMeta(value, matches[i], route);
+			}
+			return undefined;
+		},
+
+		/**
+		 * Ensures a lazy route's component is registered
+		 * @returns {Promise<void>|null} Pending load, or null when the component is already available
+		 */
+		loadRoute(route) {
+			return loadRouteComponent(route);
+		},
+
+		back() {
+			history.go(-1);
+		},
+
+		forward() {
+			history.go(1);
+		},
+
+		go(delta) {
+			history.go(delta);
+		},
+
+		getHistory() {
+			return history;
 		},
 
 		// Helper methods for basePath management
@@ -182,15 +1128,43 @@ const SimpleRouter = (props, context) => {
 		api: api,
 		hooks: {
 			onRegister() {
-				if (typeof window !== 'undefined') {
-					window.addEventListener('popstate', () => {
-						const currentRoute = window.location.pathname + window.location.search;
-						api.setRoute(currentRoute);
-					});
-
-					// Initialize with current browser location
-					const initialRoute = window.location.pathname + window.location.search;
-					api.setRoute(initialRoute);
+				stopListening = history.listen(() => {
+					if (restoringEntry) {
+						restoringEntry = false;
+						return;
+					}
+					transitionTo(history.getLocation(), 'pop');
+				});
+
+				// The first location runs guards and loaders like any navigation, so deep links and reloads
+				// cannot skip beforeEach/canEnter
+				transitionTo(history.getLocation(), 'initial');
+
+				// Positions are restored by the router once the new page has rendered
+				if (managesScroll && 'scrollRestoration' in window.history) {
+					window.history.scrollRestoration = 'manual';
+				}
+
+				(props?.querySync || []).forEach(({ bindings, ...options }) => {
+					querySyncs.push(api.syncQuery(bindings, options));
+				});
+			},
+
+			// Called by HeadlessManager.cleanup/reinitialize, so a re-registered router starts clean
+			onUnregister() {
+				// Guards and loaders still pending resolve to null
+				navigationId++;
+				cancelLoaders();
+
+				if (stopListening) stopListening();
+				stopListening = null;
+				querySyncs.splice(0).forEach(unsubscribe => unsubscribe());
+
+				if (liveRegion) liveRegion.remove();
+				liveRegion = null;
+
+				if (managesScroll && 'scrollRestoration' in window.history) {
+					window.history.scrollRestoration = 'auto';
 				}
 			}
 		}
@@ -241,7 +1215,6 @@ const LayoutManager = (props, context) => {
  */
 const DashboardLayout = (props, context) => {
 	const { getState, setState } = context;
-	const router = context.components?.getHeadlessAPI('SimpleRouter');
 
 	return {
 		div: {
@@ -305,52 +1278,22 @@ const DashboardLayout = (props, context) => {
 												children: [
 													{
 														li: {
-															className: () => {
-																if (!router) return '';
-																return router.matches('/users') && !router.matches('/users/create') && !router.matches('/users/edit/:id') ? 'active' : '';
-															},
 															children: [
-																{
-																	button: {
-																		className: 'nav-button',
-																		text: '👥 Users',
-																		onClick: () => router?.navigate('/users')
-																	}
-																}
+																{ RouterLink: { to: '/users', exact: true, className: 'nav-button', text: '👥 Users' } }
 															]
 														}
 													},
 													{
 														li: {
-															className: () => {
-																if (!router) return '';
-																return router.matches('/users/create') ? 'active' : '';
-															},
 															children: [
-																{
-																	button: {
-																		className: 'nav-button',
-																		text: '➕ Add User',
-																		onClick: () => router?.navigate('/users/create')
-																	}
-																}
+																{ RouterLink: { to: '/users/create', exact: true, className: 'nav-button', text: '➕ Add User' } }
 															]
 														}
 													},
 													{
 														li: {
-															className: () => {
-																if (!router) return '';
-																return router.matches('/settings') ? 'active' : '';
-															},
 															children: [
-																{
-																	button: {
-																		className: 'nav-button',
-																		text: '⚙️ Settings',
-																		onClick: () => router?.navigate('/settings')
-																	}
-																}
+																{ RouterLink: { to: '/settings', className: 'nav-button', text: '⚙️ Settings' } }
 															]
 														}
 													}
@@ -366,7 +1309,7 @@ const DashboardLayout = (props, context) => {
 								main: {
 									className: 'content-area',
 									children: () => {
-										return props.children ? props.children() : [];
+										return [{ Breadcrumb: {} }, ...(props.children ? props.children() : [])];
 									}
 								}
 							}
@@ -383,62 +1326,278 @@ const DashboardLayout = (props, context) => {
 // ============================================================================
 
 /**
- * Router Outlet - Renders components based on current route
+ * Router Outlet - Renders the component of the matched route at its nesting depth.
+ * While route loaders run it shows the route's pendingComponent or the configured
+ * placeholder, and a failed loader renders the route's errorComponent.
  * @param {Object} props
+ * @param {number} [props.depth=0] - Nesting level; route components render `{ RouterOutlet: { depth: 1 } }` for their children
+ * @param {import('@types').JurisVDOMElement|false} [props.fallback] - Rendered when no route matches, false renders nothing
+ * @param {string} [props.id] - Element id, used to look up `placeholders` config for the pending UI
+ * @param {string} [props.router='SimpleRouter'] - Headless name of the router instance to render
  * @param {import('@types').JurisContext} context
  * @returns {import('@types').JurisVDOMElement}
  */
 const RouterOutlet = (props, context) => {
-	const router = context.components?.getHeadlessAPI('SimpleRouter');
+	const router = context.components?.getHeadlessAPI(props.router || 'SimpleRouter');
+	const depth = props.depth || 0;
 
 	if (!router) {
 		return {
 			div: {
 				className: 'error',
-				text: 'SimpleRouter not found. Make sure it is registered as a headless component.'
+				text: `${props.router || 'SimpleRouter'} not found. Make sure it is registered as a headless component.`
 			}
 		};
 	}
 
+	const renderNotFound = (route) => {
+		if (props.fallback !== undefined) return props.fallback ? [props.fallback] : [];
+
+		return [{
+			div: {
+				className: 'error-page',
+				children: [
+					{ h2: { text: '404 - Page Not Found' } },
+					{ p: { text: `Current route: ${route.path || 'unknown'}` } },
+					{
+						button: {
+							className: 'btn btn-primary',
+							text: 'Go to Users',
+							onClick: () => router.navigate('/users')
+						}
+					}
+				]
+			}
+		}];
+	};
+
+	// Same indicator the renderer shows for async content, so `placeholders` config applies
+	const renderPending = (pending, element) => {
+		if (pending.pendingComponent) {
+			return [{ [pending.pendingComponent]: { params: pending.params } }];
+		}
+
+		return [context.juris.getPlaceholder(element)];
+	};
+
+	const renderLoadError = (match, error) => {
+		const retry = () => router.reload();
+
+		if (match.route.errorComponent) {
+			return [{ [match.route.errorComponent]: { error, params: match.params, retry } }];
+		}
+
+		return [{
+			div: {
+				className: 'error-page',
+				children: [
+					{ h2: { text: 'Failed to load page' } },
+					{ p: { text: error.message } },
+					{
+						button: {
+							className: 'btn btn-primary',
+							text: 'Try again',
+							onClick: retry
+						}
+					}
+				]
+			}
+		}];
+	};
+
 	return {
 		div: {
 			className: 'router-outlet',
-			children: () => {
+			...(props.id ? { id: props.id } : {}),
+			children: (element) => {
 				const route = router.getRoute();
+				const pending = router.getPendingMatch(depth);
+				if (pending) return renderPending(pending, element);
 
-				// Handle different routes
-				if (router.matches('/users/edit/:id')) {
-					const params = router.getParams('/users/edit/:id');
-					return [{ UserForm: { isEdit: true, userId: params.id } }];
-				}
+				const match = router.getOutletMatch(depth);
 
-				if (router.matches('/users/create')) {
-					return [{ UserForm: { isEdit: false } }];
+				if (!match) {
+					// Nested outlets stay empty when the leaf route has no child component
+					return depth === 0 ? renderNotFound(route) : [];
 				}
 
-				if (router.matches('/users')) {
-					return [{ UserList: {} }];
+				if (route.error && route.error.depth === depth) {
+					return renderLoadError(match, route.error);
 				}
 
-				if (router.matches('/settings')) {
-					return [{ SettingsPage: {} }];
-				}
+				const routeProps = typeof match.route.props === 'function'
+					? match.route.props(match.params, route.query || {}, router.getRouteData(match.route))
+					: { ...(match.route.props || {}) };
+				const vnode = { [match.route.component]: routeProps };
+
+				const loading = router.loadRoute(match.route);
+				if (!loading) return [vnode];
+
+				return loading
+					.then(() => [vnode])
+					.catch(error => [{
+						div: {
+							className: 'error-page',
+							children: [
+								{ h2: { text: 'Failed to load page' } },
+								{ p: { text: error.message } }
+							]
+						}
+					}]);
+			}
+		}
+	};
+};
+
+// ============================================================================
+// ROUTER LINK COMPONENT
+// ============================================================================
+
+/**
+ * Router Link - Anchor that navigates through SimpleRouter on plain left clicks.
+ * Modified clicks (ctrl/meta/shift/alt, middle button) and non-self targets keep
+ * the browser default, so links can be opened in new tabs.
+ * @param {Object} props
+ * @param {string} props.to - Route without basePath, may include query and hash
+ * @param {boolean} [props.exact=false] - Only apply activeClass on an exact path match
+ * @param {string} [props.activeClass='active'] - Class applied while the link is active
+ * @param {string} [props.exactActiveClass='exact-active'] - Class applied on an exact path match
+ * @param {boolean} [props.replace=false] - Replace the history entry instead of pushing
+ * @param {string} [props.className] - Static classes
+ * @param {string} [props.text] - Link text, ignored when children are given
+ * @param {string} [props.target] - Anchor target
+ * @param {string} [props.router='SimpleRouter'] - Headless name of the router instance to navigate
+ * @param {import('@types').JurisVDOMElement[]} [props.children]
+ * @param {import('@types').JurisContext} context
+ * @returns {import('@types').JurisVDOMElement}
+ */
+const RouterLink = (props, context) => {
+	const router = context.components?.getHeadlessAPI(props.router || 'SimpleRouter');
+	const {
+		to,
+		exact = false,
+		activeClass = 'active',
+		exactActiveClass = 'exact-active',
+		replace = false,
+		className = '',
+		target
+	} = props;
+
+	const handleClick = (e) => {
+		if (!router || e.defaultPrevented) return;
+		// Let the browser open new tabs/windows for modified and non-primary clicks
+		if (e.button > 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+		if (target && target !== '_self') return;
+
+		e.preventDefault();
+		if (replace) {
+			router.replace(to);
+		} else {
+			router.navigate(to);
+		}
+	};
+
+	return {
+		a: {
+			href: router ? router.buildUrl(to) : to,
+			...(target ? { target } : {}),
+			className: () => {
+				if (!router) return className;
+
+				const isExactActive = router.isActive(to, true);
+				const isActive = exact ? isExactActive : router.isActive(to);
+				return [
+					className,
+					isActive ? activeClass : '',
+					isExactActive ? exactActiveClass : ''
+				].filter(Boolean).join(' ');
+			},
+			'aria-current': () => router?.isActive(to, true) ? 'page' : 'false',
+			onClick: handleClick,
+			...(props.children ? { children: props.children } : { text: props.text || '' })
+		}
+	};
+};
+
+// ============================================================================
+// BREADCRUMB COMPONENT
+// ============================================================================
+
+/**
+ * Breadcrumb - Trail derived from the router's matched route chain, or from explicit items
+ * @param {Object} props
+ * @param {Array<{title: string, href?: string, onClick?: () => void, disabled?: boolean}>} [props.items] - Explicit items instead of route metadata
+ * @param {string} [props.separator='›']
+ * @param {string} [props.router='SimpleRouter'] - Headless name of the router instance to follow
+ * @param {number} [props.maxItems] - Collapses the middle of longer trails into "…"
+ * @param {(item: Object, index: number) => import('@types').JurisVDOMElement} [props.itemRender]
+ * @param {import('@types').JurisContext} context
+ * @returns {import('@types').JurisVDOMElement}
+ */
+const Breadcrumb = (props, context) => {
+	const router = context.components?.getHeadlessAPI(props.router || 'SimpleRouter');
+	const separator = props.separator || '›';
+
+	const getItems = () => {
+		if (props.items) return props.items;
+		return router ? router.getBreadcrumbs().map(crumb => ({ title: crumb.label, to: crumb.to })) : [];
+	};
+
+	const collapse = (items) => {
+		if (!props.maxItems || items.length <= props.maxItems) return items;
+
+		const tailCount = Math.max(props.maxItems - 1, 1);
+		return [items[0], { title: '…', disabled: true }, ...items.slice(-tailCount)];
+	};
+
+	const renderItem = (item, index, isLast) => {
+		if (props.itemRender) return props.itemRender(item, index);
+
+		if (isLast || item.disabled) {
+			return { span: { className: 'breadcrumb-current', 'aria-current': isLast ? 'page' : 'false', text: item.title } };
+		}
+		if (item.to) {
+			return { RouterLink: { to: item.to, router: props.router, className: 'breadcrumb-link', text: item.title } };
+		}
+		return {
+			a: {
+				className: 'breadcrumb-link',
+				href: item.href || '#',
+				text: item.title,
+				...(item.onClick ? {
+					onClick: (e) => {
+						e.preventDefault();
+						item.onClick();
+					}
+				} : {})
+			}
+		};
+	};
+
+	return {
+		nav: {
+			className: 'breadcrumb',
+			'aria-label': 'Breadcrumb',
+			children: () => {
+				const items = collapse(getItems());
+				if (items.length === 0) return [];
 
-				// Default/404 fallback
 				return [{
-					div: {
-						className: 'error-page',
-						children: [
-							{ h2: { text: '404 - Page Not Found' } },
-							{ p: { text: `Current route: ${route.path || 'unknown'}` } },
-							{
-								button: {
-									className: 'btn btn-primary',
-									text: 'Go to Users',
-									onClick: () => router.navigate('/users')
+					ol: {
+						className: 'breadcrumb-list',
+						children: items.map((item, index) => {
+							const isLast = index === items.length - 1;
+							return {
+								li: {
+									key: `${index}-${item.to || item.href || item.title}`,
+									className: 'breadcrumb-item',
+									children: [
+										renderItem(item, index, isLast),
+										...(isLast ? [] : [{ span: { className: 'breadcrumb-separator', 'aria-hidden': 'true', text: separator } }])
+									]
 								}
-							}
-						]
+							};
+						})
 					}
 				}];
 			}
@@ -459,6 +1618,7 @@ const RouterOutlet = (props, context) => {
 const UserList = (props, context) => {
 	const { getState, setState, } = context;
 	const router = context.components?.getHeadlessAPI('SimpleRouter');
+	const modalRouter = context.components?.getHeadlessAPI('ModalRouter');
 
 	// Initialize users data if not exists
 	if (!getState('users.list')) {
@@ -482,10 +1642,36 @@ const UserList = (props, context) => {
 						children: [
 							{ h2: { text: 'User Management' } },
 							{
-								button: {
-									className: 'btn btn-primary',
-									text: '+ Add New User',
-									onClick: () => router?.navigate('/users/create')
+								div: {
+									className: 'header-actions',
+									children: [
+										// Deletes and edits are recorded in the users.list history
+										{
+											button: {
+												className: 'btn btn-secondary',
+												text: '↶ Undo',
+												title: 'Undo the last change to the user list',
+												disabled: () => !getState('users.history.canUndo', false),
+												onClick: () => context.juris.undo()
+											}
+										},
+										{
+											button: {
+												className: 'btn btn-secondary',
+												text: '↷ Redo',
+												title: 'Redo the last undone change',
+												disabled: () => !getState('users.history.canRedo', false),
+												onClick: () => context.juris.redo()
+											}
+										},
+										{
+											button: {
+												className: 'btn btn-primary',
+												text: '+ Add New User',
+												onClick: () => router?.navigate('/users/create')
+											}
+										}
+									]
 								}
 							}
 						]
@@ -575,22 +1761,7 @@ const UserList = (props, context) => {
 										{
 											tbody: {
 												children: () => {
-													const users = getState('users.list', []);
-													const search = getState('users.search', '').toLowerCase();
-													const roleFilter = getState('users.filter.role', 'all');
-													const statusFilter = getState('users.filter.status', 'all');
-
-													// Filter users
-													const filteredUsers = users.filter(user => {
-														const matchesSearch = !search ||
-															user.name.toLowerCase().includes(search) ||
-															user.email.toLowerCase().includes(search);
-
-														const matchesRole = roleFilter === 'all' || user.role === roleFilter;
-														const matchesStatus = statusFilter === 'all' || user.status === statusFilter;
-
-														return matchesSearch && matchesRole && matchesStatus;
-													});
+													const filteredUsers = getState('users.filtered', []);
 
 													if (filteredUsers.length === 0) {
 														return [{
@@ -643,6 +1814,13 @@ const UserList = (props, context) => {
 																	td: {
 																		className: 'actions',
 																		children: [
+																			{
+																				button: {
+																					className: 'btn btn-sm btn-secondary',
+																					text: 'View',
+																					onClick: () => modalRouter?.navigate(`/users/${user.id}`)
+																				}
+																			},
 																			{
 																				button: {
 																					className: 'btn btn-sm btn-secondary',
@@ -656,9 +1834,7 @@ const UserList = (props, context) => {
 																					text: 'Delete',
 																					onClick: () => {
 																						if (confirm(`Delete user ${user.name}?`)) {
-																							const users = getState('users.list', []);
-																							const updated = users.filter(u => u.id !== user.id);
-																							setState('users.list', updated);
+																							context.juris.removeWhere('users.list', u => u.id === user.id);
 																						}
 																					}
 																				}
@@ -686,25 +1862,91 @@ const UserList = (props, context) => {
 						children: [
 							{
 								p: {
-									text: () => {
-										const users = getState('users.list', []);
-										const search = getState('users.search', '').toLowerCase();
-										const roleFilter = getState('users.filter.role', 'all');
-										const statusFilter = getState('users.filter.status', 'all');
+									text: () => `Showing ${getState('users.filtered', []).length} of ${getState('users.list', []).length} users`
+								}
+							}
+						]
+					}
+				}
+			]
+		}
+	};
+};
 
-										const filteredUsers = users.filter(user => {
-											const matchesSearch = !search ||
-												user.name.toLowerCase().includes(search) ||
-												user.email.toLowerCase().includes(search);
+/**
+ * User Details Modal - Rendered by the ModalRouter on top of the current page
+ * @param {Object} props
+ * @param {import('@app-states').User} props.user - Loaded by the modal route
+ * @param {import('@types').JurisContext} context
+ * @returns {import('@types').JurisVDOMElement}
+ */
+const UserDetailsModal = (props, context) => {
+	const router = context.components?.getHeadlessAPI('SimpleRouter');
+	const modalRouter = context.components?.getHeadlessAPI('ModalRouter');
+	const user = props.user;
 
-											const matchesRole = roleFilter === 'all' || user.role === roleFilter;
-											const matchesStatus = statusFilter === 'all' || user.status === statusFilter;
+	const close = () => modalRouter?.navigate('/');
 
-											return matchesSearch && matchesRole && matchesStatus;
-										});
+	const detail = (label, value) => [
+		{ dt: { text: label } },
+		{ dd: { text: value } }
+	];
 
-										return `Showing ${filteredUsers.length} of ${users.length} users`;
-									}
+	return {
+		div: {
+			className: 'modal-backdrop',
+			onClick: (e) => {
+				if (e.target === e.currentTarget) close();
+			},
+			children: [
+				{
+					div: {
+						className: 'modal',
+						role: 'dialog',
+						'aria-modal': 'true',
+						'aria-label': user.name,
+						children: [
+							{
+								div: {
+									className: 'modal-header',
+									children: [
+										{ h3: { text: user.name } },
+										{
+											button: {
+												className: 'btn btn-sm btn-secondary',
+												text: 'Close',
+												onClick: close
+											}
+										}
+									]
+								}
+							},
+							{
+								dl: {
+									className: 'user-details',
+									children: [
+										...detail('Email', user.email),
+										...detail('Role', user.role),
+										...detail('Status', user.status)
+									]
+								}
+							},
+							{
+								div: {
+									className: 'modal-actions',
+									children: [
+										{
+											button: {
+												className: 'btn btn-primary',
+												text: 'Edit User',
+												onClick: async () => {
+													// Drop the modal parameter first so the main router's push does not carry it over
+													await modalRouter?.replace('/');
+													router?.navigate(`/users/edit/${user.id}`);
+												}
+											}
+										}
+									]
 								}
 							}
 						]
@@ -719,12 +1961,13 @@ const UserList = (props, context) => {
  * User Create/Edit Form
  * @param {Object} props
  * @param {boolean} [props.isEdit=false] - Whether this is edit mode
- * @param {string} [props.userId] - User ID for edit mode
+ * @param {number} [props.userId] - User ID for edit mode
+ * @param {import('@app-states').User} [props.user] - User loaded by the edit route
  * @param {import('@types').JurisContext} context  
  * @returns {import('@types').JurisVDOMElement}
  */
 const UserForm = (props, context) => {
-	const { getState, setState } = context;
+	const { getState, setState, transaction, logger } = context;
 	const router = context.components?.getHeadlessAPI('SimpleRouter');
 
 	const isEdit = props.isEdit || false;
@@ -733,8 +1976,8 @@ const UserForm = (props, context) => {
 	// Initialize form state
 	if (!getState('userForm.initialized')) {
 		if (isEdit && userId) {
-			const users = getState('users.list', []);
-			const user = users.find(u => u.id === parseInt(userId));
+			// Provided by the edit route's loader
+			const user = props.user;
 			if (user) {
 				setState('userForm', {
 					name: user.name,
@@ -755,6 +1998,12 @@ const UserForm = (props, context) => {
 		}
 	}
 
+	// Marks the form dirty so the route's canLeave guard can warn about unsaved changes
+	const updateField = (field, value) => {
+		setState(`userForm.${field}`, value);
+		setState('userForm.dirty', true);
+	};
+
 	const handleSubmit = (e) => {
 		e.preventDefault();
 
@@ -767,33 +2016,41 @@ const UserForm = (props, context) => {
 			initialized: false
 		});
 
-		/** @type {import('@app-states').User[]} */
-		const users = getState('users.list', []);
-
-		if (isEdit && userId) {
-			// Update existing user
-			const updated = users.map(user =>
-				user.id === parseInt(userId)
-					? { ...user, name: form.name, email: form.email, role: form.role, status: form.status }
-					: user
-			);
-			setState('users.list', updated);
-		} else {
-			// Create new user
-			/** @type {import('@app-states').User} */
-			const newUser = {
-				id: Math.max(...users.map(u => u.id), 0) + 1,
-				name: form.name,
-				email: form.email,
-				role: form.role,
-				status: form.status
-			};
-			setState('users.list', [...users, newUser]);
-		}
+		setState('userForm.saveError', null);
+
+		// The list change and the form reset land together; a failed save is rolled back and leaves the form open
+		transaction(tx => {
+			if (isEdit && userId) {
+				// Update existing user
+				tx.updateWhere('users.list', (/** @type {import('@app-states').User} */ user) => user.id === userId, {
+					name: form.name,
+					email: form.email,
+					role: form.role,
+					status: form.status
+				});
+			} else {
+				// Create new user
+				/** @type {import('@app-states').User[]} */
+				const users = tx.getState('users.list', []);
+				/** @type {import('@app-states').User} */
+				const newUser = {
+					id: Math.max(...users.map(u => u.id), 0) + 1,
+					name: form.name,
+					email: form.email,
+					role: form.role,
+					status: form.status
+				};
+				tx.push('users.list', newUser);
+			}
 
-		// Reset form and navigate back
-		setState('userForm', { initialized: false });
-		router?.navigate('/users');
+			// Reset form
+			tx.setState('userForm', { initialized: false });
+		})
+			.then(() => router?.navigate('/users'))
+			.catch(error => {
+				console.error(logger.error('Saving the user failed', { userId, error: error.message }, 'application'));
+				setState('userForm.saveError', `Could not save the user: ${error.message}`);
+			});
 	};
 
 	return {
@@ -832,7 +2089,7 @@ const UserForm = (props, context) => {
 												className: 'form-input',
 												required: true,
 												value: () => getState('userForm.name', ''),
-												onInput: (e) => setState('userForm.name', e.target.value)
+												onInput: (e) => updateField('name', e.target.value)
 											}
 										}
 									]
@@ -850,7 +2107,7 @@ const UserForm = (props, context) => {
 												className: 'form-input',
 												required: true,
 												value: () => getState('userForm.email', ''),
-												onInput: (e) => setState('userForm.email', e.target.value)
+												onInput: (e) => updateField('email', e.target.value)
 											}
 										}
 									]
@@ -866,7 +2123,7 @@ const UserForm = (props, context) => {
 											select: {
 												className: 'form-select',
 												value: () => getState('userForm.role', 'User'),
-												onChange: (e) => setState('userForm.role', e.target.value),
+												onChange: (e) => updateField('role', e.target.value),
 												children: [
 													{ option: { value: 'User', text: 'User' } },
 													{ option: { value: 'Moderator', text: 'Moderator' } },
@@ -887,7 +2144,7 @@ const UserForm = (props, context) => {
 											select: {
 												className: 'form-select',
 												value: () => getState('userForm.status', 'Active'),
-												onChange: (e) => setState('userForm.status', e.target.value),
+												onChange: (e) => updateField('status', e.target.value),
 												children: [
 													{ option: { value: 'Active', text: 'Active' } },
 													{ option: { value: 'Inactive', text: 'Inactive' } }
@@ -898,6 +2155,15 @@ const UserForm = (props, context) => {
 								}
 							},
 
+							{
+								div: {
+									children: () => {
+										const saveError = getState('userForm.saveError', null);
+										return saveError ? [{ div: { className: 'error', role: 'alert', text: saveError } }] : [];
+									}
+								}
+							},
+
 							{
 								div: {
 									className: 'form-actions',
@@ -1179,13 +2445,9 @@ const SettingsPage = (props, context) => {
 const App = (props, context) => {
 	const { getState, setState } = context;
 
-	// Initialize app state
+	// Initialize app state; layout and theme keep their (possibly persisted) values
 	if (!getState('app.initialized')) {
-		setState('app', {
-			layout: 'dashboard',
-			theme: 'light',
-			initialized: true
-		});
+		setState('app.initialized', true);
 		setState('auth.user', {
 			name: 'Admin User',
 			role: 'Admin'
@@ -1205,7 +2467,9 @@ const App = (props, context) => {
 							}
 						}
 					}
-				}
+				},
+				// Dialogs opened through the ModalRouter, e.g. ?dialog=/users/3
+				{ RouterOutlet: { router: 'ModalRouter', fallback: false } }
 			]
 		}
 	};
@@ -1220,18 +2484,27 @@ const App = (props, context) => {
  * @property {Object} route
  * @property {string} route.current
  * @property {string} route.path
- * @property {Record<string, string>} route.params
- * @property {Record<string, string>} route.query
+ * @property {Record<string, string|number|boolean>} route.params
+ * @property {Record<string, string|string[]>} route.query
+ * @property {string} route.hash
+ * @property {boolean} route.loading
+ * @property {*} route.data
+ * @property {{message: string, path: string, depth: number}|null} route.error
+ *
+ * @property {Object} modalRoute - Route state of the ModalRouter, same shape as route
  * 
  * @property {Object} users
  * @property {Array<{id: string, name: string, email: string, role: string, status: string}>} users.list
+ * @property {Array<{id: string, name: string, email: string, role: string, status: string}>} users.filtered - Computed from list, search and filter
  * @property {string} users.search
+ * @property {{canUndo: boolean, canRedo: boolean, index: number, length: number}} users.history - Undo status of users.list
  * @property {Object} users.filter
  * @property {'all'|'admin'|'user'|'moderator'} users.filter.role
  * @property {'all'|'active'|'inactive'|'pending'} users.filter.status
  * 
  * @property {Object} userForm
  * @property {boolean} userForm.initialized
+ * @property {string|null} [userForm.saveError] - Why the last submit failed, shown above the form actions
  * 
  * @property {Object} auth
  * @property {Object} auth.user
@@ -1243,7 +2516,153 @@ const App = (props, context) => {
 // ============================================================================
 
 
+const userNameById = (id) => juris.getState('users.list', []).find(user => user.id === id)?.name || `User ${id}`;
+
+// Users without one of meta.roles are sent back to the user list
+const hasRequiredRole = (to) => {
+	const router = juris.getHeadlessComponent('SimpleRouter').api;
+	const role = juris.getState('auth.user.role', null, false);
+	const roles = router.getMatches(to.path).flatMap(match => match.route.meta?.roles || []);
+	return roles.length === 0 || roles.includes(role) || '/users';
+};
+
+// Resolves from the in-memory list; an API-backed version would pass `signal` to fetch
+const loadUser = async (id) => {
+	const user = juris.getState('users.list', [], false).find(candidate => candidate.id === id);
+	if (!user) throw new Error(`User ${id} was not found`);
+	return user;
+};
+
+// Once discarding is confirmed the form counts as clean, so later exits do not ask again
+const confirmDiscardUserForm = () => {
+	if (!juris.getState('userForm.dirty', false, false)) return true;
+	if (!confirm('Discard unsaved changes?')) return false;
+	juris.setState('userForm.dirty', false);
+	return true;
+};
+
+/**
+ * Routes of the ModalRouter, whose route lives in the `dialog` query parameter
+ * @type {import('@app-states').RouteDefinition[]}
+ */
+const modalRoutes = [
+	{
+		path: '/users/:id(\\d+)',
+		paramTypes: { id: 'number' },
+		component: 'UserDetailsModal',
+		loader: (params) => loadUser(params.id),
+		props: (params, query, user) => ({ user })
+	}
+];
+
+/**
+ * Route table for SimpleRouter. Paths of child routes are relative to their parent.
+ * Lazy pages use `load: () => import('./pages/ReportsPage.juris.js')` together with `component`.
+ * Guards return false to cancel or a path to redirect, e.g. `canEnter: () => !!juris.getState('auth.user') || '/login'`.
+ * Loaders run before the route is committed and receive `{ signal }`, aborted when a newer navigation starts.
+ * @type {import('@app-states').RouteDefinition[]}
+ */
+const routes = [
+	{
+		path: '/users',
+		meta: { title: 'Users', breadcrumb: 'Users' },
+		children: [
+			{ path: '', component: 'UserList' },
+			{
+				path: 'create',
+				component: 'UserForm',
+				props: { isEdit: false },
+				meta: { title: 'Add User', breadcrumb: 'Add User' },
+				canLeave: confirmDiscardUserForm
+			},
+			{
+				path: 'edit/:id(\\d+)',
+				paramTypes: { id: 'number' },
+				component: 'UserForm',
+				loader: (params) => loadUser(params.id),
+				props: (params, query, user) => ({ isEdit: true, userId: params.id, user }),
+				meta: { breadcrumb: (params) => `Edit ${userNameById(params.id)}` },
+				canLeave: confirmDiscardUserForm
+			}
+		]
+	},
+	{ path: '/settings', component: 'SettingsPage', meta: { title: 'Settings', breadcrumb: 'Settings', roles: ['Admin'] } }
+];
+
+// Runtime checks for the AppState shape; invalid writes are rejected during development only
+const isDevelopment = typeof window !== 'undefined' && ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+/** @type {import('@types').StateSchema} */
+const userSchema = {
+	type: 'object',
+	required: ['id', 'name', 'email', 'role', 'status'],
+	properties: {
+		id: { type: 'integer', minimum: 1 },
+		name: { type: 'string', minLength: 1 },
+		email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+		role: { enum: ['Admin', 'Moderator', 'User'] },
+		status: { enum: ['Active', 'Inactive'] }
+	}
+};
+
+/** @type {Record<string, import('@types').StateSchema>} */
+const stateSchemas = {
+	'app.theme': { enum: ['light', 'dark', 'auto'] },
+	'app.layout': { enum: ['dashboard', 'minimal', 'mobile'] },
+	'users.list': { type: 'array', items: userSchema },
+	'users.search': { type: 'string' },
+	'users.filter.role': { enum: ['all', 'Admin', 'Moderator', 'User'] },
+	'users.filter.status': { enum: ['all', 'Active', 'Inactive'] },
+	'auth.user.role': { enum: ['Admin', 'Moderator', 'User'] }
+};
+
 const juris = new Juris({
+	// Frozen state with read-only getState values, so in-place mutations throw instead of skipping notifications
+	strict: isDevelopment,
+	// Reactive DOM updates are batched per frame; typing and clicks flush first
+	scheduler: true,
+	eventDelegation: true,
+	validation: {
+		mode: isDevelopment ? 'reject' : 'off',
+		schemas: stateSchemas
+	},
+	// Settings and the user list survive reloads; bump version and add a migration when their shape changes
+	persist: {
+		key: 'user-management-state',
+		paths: ['app.theme', 'app.layout', 'users.list'],
+		adapter: 'localStorage',
+		version: 1
+	},
+	// Edits made in another tab show up here without a reload
+	sync: {
+		channel: 'user-management',
+		paths: ['users.list']
+	},
+	// Undo/redo for user deletes and edits; synced and rehydrated writes are not recorded
+	history: {
+		paths: ['users.list'],
+		maxDepth: 50,
+		statusPath: 'users.history'
+	},
+	// Read-only and memoized; the table and its summary share one pass over the list
+	computed: {
+		'users.filtered': (getState) => {
+			const search = getState('users.search', '').toLowerCase();
+			const roleFilter = getState('users.filter.role', 'all');
+			const statusFilter = getState('users.filter.status', 'all');
+
+			return getState('users.list', []).filter(user => {
+				const matchesSearch = !search ||
+					user.name.toLowerCase().includes(search) ||
+					user.email.toLowerCase().includes(search);
+
+				const matchesRole = roleFilter === 'all' || user.role === roleFilter;
+				const matchesStatus = statusFilter === 'all' || user.status === statusFilter;
+
+				return matchesSearch && matchesRole && matchesStatus;
+			});
+		}
+	},
 	states: {
 		app: {
 			layout: 'dashboard',
@@ -1254,7 +2673,21 @@ const juris = new Juris({
 			current: '/users',
 			path: '/users',
 			params: {},
-			query: {}
+			query: {},
+			hash: '',
+			loading: false,
+			data: null,
+			error: null
+		},
+		modalRoute: {
+			current: '/',
+			path: '/',
+			params: {},
+			query: {},
+			hash: '',
+			loading: false,
+			data: null,
+			error: null
 		},
 		users: {
 			list: [],
@@ -1279,7 +2712,10 @@ const juris = new Juris({
 		LayoutManager,
 		DashboardLayout,
 		RouterOutlet,
+		RouterLink,
+		Breadcrumb,
 		UserList,
+		UserDetailsModal,
 		UserForm,
 		SettingsPage
 	},
@@ -1289,6 +2725,30 @@ const juris = new Juris({
 			options: {
 				autoInit: true,
 				basePath: '/code-with-juris/user-management/', // For XAMPP deployment at localhost/myapp/ }
+				routes,
+				beforeEach: hasRequiredRole,
+				titleTemplate: '%s · User Management',
+				querySync: [
+					{
+						pattern: '/users',
+						bindings: {
+							search: 'users.search',
+							role: { path: 'users.filter.role', defaultValue: 'all' },
+							status: { path: 'users.filter.status', defaultValue: 'all' }
+						}
+					}
+				]
+			}
+		},
+		// Second router instance: own state path, route kept in the query string
+		ModalRouter: {
+			fn: SimpleRouter,
+			options: {
+				autoInit: true,
+				history: 'query',
+				queryKey: 'dialog',
+				statePath: 'modalRoute',
+				routes: modalRoutes
 			}
 		},
 	},
@@ -0,0 +1,62 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Juris, tick, assertSameNodes } from './dom.mjs';
+
+const createJuris = () => new Juris({ states: { list: [{ id: 1, v: 0 }, { id: 2, v: 0 }, { id: 3, v: 0 }] } });
+
+describe('array helpers', () => {
+	test('write a new array that keeps untouched items by reference', () => {
+		const juris = createJuris();
+		const [first, second, third] = juris.getState('list');
+
+		assert.equal(juris.updateWhere('list', item => item.id === 2, { v: 1 }), 1);
+		assert.equal(juris.push('list', { id: 4 }), 4);
+		assert.deepEqual(juris.removeWhere('list', item => item.id === 1), [first]);
+		assert.equal(juris.move('list', 2, 0), true);
+
+		const list = juris.getState('list');
+		assert.deepEqual(list.map(item => item.id), [4, 2, 3]);
+		assert.equal(list[2], third);
+		assert.notEqual(list[1], second);
+		assert.deepEqual(list[1], { id: 2, v: 1 });
+	});
+
+	test('notify subscribers only when something changed', () => {
+		const juris = createJuris();
+		const calls = [];
+		juris.subscribe('list', (value, oldValue) => calls.push([value.length, oldValue.length]));
+
+		assert.equal(juris.updateWhere('list', item => item.id === 2, { v: 0 }), 0);
+		assert.deepEqual(juris.removeWhere('list', item => item.id === 9), []);
+		assert.equal(juris.move('list', 1, 1), false);
+		assert.deepEqual(calls, []);
+
+		juris.push('list', { id: 4 });
+		assert.deepEqual(calls, [[4, 3]]);
+	});
+
+	test('inside a batch, build on the value already queued for the path', () => {
+		const juris = createJuris();
+		juris.executeBatch(() => {
+			juris.push('list', { id: 4 });
+			juris.removeWhere('list', item => item.id === 1);
+		});
+		assert.deepEqual(juris.getState('list').map(item => item.id), [2, 3, 4]);
+	});
+
+	test('keyed rows of untouched items keep their DOM nodes', async () => {
+		const juris = createJuris();
+		const element = juris.domRenderer.render({
+			ul: { children: () => juris.getState('list').map(item => ({ li: { key: item.id, text: `${item.id}:${item.v}` } })) }
+		});
+		const [one, two, three] = element.children;
+
+		juris.updateWhere('list', item => item.id === 2, { v: 1 });
+		juris.removeWhere('list', item => item.id === 1);
+		await tick();
+
+		assertSameNodes(assert, [...element.children], [two, three]);
+		assert.equal(element.textContent, '2:13:0');
+		assert.equal(one.isConnected, false);
+	});
+});
@@ -0,0 +1,20 @@
+// jsdom globals for the vendored build, which is a browser script that also exports Juris through module.exports
+import { JSDOM } from 'jsdom';
+import { createRequire } from 'node:module';
+
+const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>', { url: 'http://localhost/', pretendToBeVisual: true });
+['window', 'document', 'Node', 'Element', 'HTMLElement', 'Text', 'DocumentFragment', 'Event', 'CustomEvent', 'MutationObserver', 'requestAnimationFrame', 'cancelAnimationFrame']
+	.forEach(name => { globalThis[name] = dom.window[name]; });
+
+// The framework logs every render at debug/info level
+console.debug = () => { };
+console.info = () => { };
+
+export const Juris = createRequire(import.meta.url)('../lib/juris.0.84.0.js');
+
+export const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const assertSameNodes = (assert, actual, expected) => {
+	assert.equal(actual.length, expected.length);
+	actual.forEach((node, index) => assert.equal(node, expected[index], `node ${index} was replaced`));
+};
@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Juris, tick, assertSameNodes } from './dom.mjs';
+
+const users = [
+	{ id: 1, name: 'John Doe' },
+	{ id: 2, name: 'Jane Smith' },
+	{ id: 3, name: 'Bob Johnson' }
+];
+
+// Shaped like UserList: a search box over keyed rows whose handlers and cells are new closures on every render
+const renderUserTable = renderMode => {
+	const juris = new Juris({ states: { users: { list: users, search: '' } }, renderMode });
+	const clicked = [];
+	const element = juris.domRenderer.render({
+		div: {
+			children: [
+				{
+					input: {
+						value: () => juris.getState('users.search'),
+						onInput: e => juris.setState('users.search', e.target.value)
+					}
+				},
+				{
+					tbody: {
+						children: () => {
+							const search = juris.getState('users.search').toLowerCase();
+							return juris.getState('users.list')
+								.filter(user => user.name.toLowerCase().includes(search))
+								.map(user => ({
+									tr: {
+										key: user.id,
+										onClick: () => clicked.push(user.name),
+										children: [
+											{ td: { text: user.name } },
+											{ td: { children: [{ button: { text: 'Edit', onClick: () => clicked.push(`edit ${user.name}`) } }] } }
+										]
+									}
+								}));
+						}
+					}
+				}
+			]
+		}
+	});
+	document.body.appendChild(element);
+
+	const input = element.querySelector('input');
+	const type = async value => {
+		input.value = value;
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+		await tick();
+	};
+	return { juris, clicked, type, rows: () => [...element.querySelectorAll('tr')] };
+};
+
+['fine-grained', 'batch'].forEach(renderMode => {
+	describe(`keyed children (${renderMode})`, () => {
+		test('typing in the search box keeps the DOM nodes of the rows that still match', async () => {
+			const { type, rows } = renderUserTable(renderMode);
+			const [john, jane, bob] = rows();
+
+			await type('j');
+			assertSameNodes(assert, rows(), [john, jane, bob]);
+			await type('jo');
+			assertSameNodes(assert, rows(), [john, bob]);
+			await type('joh');
+			assertSameNodes(assert, rows(), [john, bob]);
+		});
+
+		test('a reused row shows and handles the values of the latest render', async () => {
+			const { juris, clicked, rows } = renderUserTable(renderMode);
+			const before = rows();
+
+			juris.setState('users.list', [{ id: 1, name: 'John Updated' }, ...users.slice(1)]);
+			await tick();
+
+			assertSameNodes(assert, rows(), before);
+			assert.equal(before[0].firstChild.textContent, 'John Updated');
+			before[0].querySelector('button').click();
+			assert.deepEqual(clicked, ['edit John Updated', 'John Updated']);
+		});
+	});
+});
@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Juris } from './dom.mjs';
+
+const createStrictJuris = states => new Juris({ states, strict: true });
+
+describe('strict state', () => {
+	test('mutating a plain value from getState throws and names the path', () => {
+		const juris = createStrictJuris({ users: { list: [{ id: 1, name: 'John' }] } });
+		assert.throws(() => { juris.getState('users.list')[0].name = 'Jane'; }, /"users\.list\.0\.name"/);
+		assert.throws(() => juris.getState('users.list').push({ id: 2 }), TypeError);
+		assert.equal(juris.getState('users.list.0.name'), 'John');
+	});
+
+	test('the mutating methods of a stored Date, Map and Set throw', () => {
+		const when = new Date(0);
+		const juris = createStrictJuris({ when, tags: new Set(['a']), byId: new Map([[1, { name: 'John' }]]) });
+
+		assert.throws(() => juris.getState('when').setTime(9), /setTime\(\) on a Date/);
+		assert.throws(() => juris.getState('when').setUTCFullYear(2000), TypeError);
+		assert.throws(() => juris.getState('tags').add('b'), /add\(\) on a Set/);
+		assert.throws(() => juris.getState('tags').clear(), TypeError);
+		assert.throws(() => juris.getState('byId').set(2, {}), /set\(\) on a Map/);
+		assert.throws(() => juris.getState('byId').delete(1), TypeError);
+		assert.throws(() => { juris.getState('byId').get(1).name = 'Jane'; }, TypeError);
+
+		assert.equal(juris.getState('when').getTime(), 0);
+		assert.deepEqual([...juris.getState('tags')], ['a']);
+		assert.deepEqual([...juris.getState('byId').keys()], [1]);
+	});
+
+	test('a Date, Map or Set is replaced through setState', () => {
+		const juris = createStrictJuris({ when: new Date(0), tags: new Set(['a']) });
+		juris.setState('when', new Date(9));
+		juris.setState('tags', new Set([...juris.getState('tags'), 'b']));
+		assert.equal(juris.getState('when').getTime(), 9);
+		assert.deepEqual([...juris.getState('tags')], ['a', 'b']);
+		assert.throws(() => juris.getState('when').setTime(0), TypeError);
+	});
+});
@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Juris } from './dom.mjs';
+
+const userSchema = { type: 'array', items: { type: 'object', required: ['id', 'email'], properties: { email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' } } } };
+
+describe('transaction', () => {
+	test('writes land together when fn succeeds', async () => {
+		const juris = new Juris({ states: { users: { list: [] }, userForm: { initialized: true } } });
+		await juris.transaction(tx => {
+			tx.push('users.list', { id: 1, email: 'john@example.com' });
+			tx.setState('userForm', { initialized: false });
+		});
+		assert.deepEqual(juris.getState('users.list'), [{ id: 1, email: 'john@example.com' }]);
+		assert.equal(juris.getState('userForm.initialized'), false);
+	});
+
+	test('a write validation would reject fails the transaction and none of its writes land', async () => {
+		const juris = new Juris({
+			states: { users: { list: [] }, userForm: { initialized: true } },
+			validation: { mode: 'reject', schemas: { 'users.list': userSchema } }
+		});
+		await assert.rejects(juris.transaction(tx => {
+			tx.push('users.list', { id: 1, email: '' });
+			tx.setState('userForm', { initialized: false });
+		}), /Invalid state at "users\.list": users\.list\.0\.email/);
+		assert.deepEqual(juris.getState('users.list'), []);
+		assert.equal(juris.getState('userForm.initialized'), true);
+	});
+
+	test('a throwing fn drops every write', async () => {
+		const juris = new Juris({ states: { count: 0 } });
+		await assert.rejects(juris.transaction(tx => {
+			tx.setState('count', 1);
+			throw new Error('save failed');
+		}), /save failed/);
+		assert.equal(juris.getState('count'), 0);
+	});
+});
@@ -67,7 +67,10 @@ declare global {
       
       RouterOutlet: { 
         props?: {
-          fallback?: JurisVDOMElement;
+          fallback?: JurisVDOMElement | false;
+          depth?: number;
+          id?: string;
+          router?: string;
           loading?: boolean;
           transition?: 'fade' | 'slide' | 'none';
         }
@@ -78,7 +81,14 @@ declare global {
           to: string;
           exact?: boolean;
           activeClass?: string;
+          exactActiveClass?: string;
+          replace?: boolean;
+          className?: string;
+          target?: string;
           text?: string;
+          children?: JurisVDOMElement[];
+          /** Headless name of the router instance, defaults to SimpleRouter */
+          router?: string;
         };
       };
 
@@ -438,8 +448,10 @@ declare global {
       // 7. NAVIGATION COMPONENTS
       Breadcrumb: {
         props: {
-          items: Array<{
+          /** Defaults to the trail derived from the router's route meta */
+          items?: Array<{
             title: string;
+            to?: string;
             href?: string;
             onClick?: () => void;
             disabled?: boolean;
@@ -447,6 +459,7 @@ declare global {
           separator?: string | JurisVDOMElement;
           maxItems?: number;
           itemRender?: (item: any, index: number) => JurisVDOMElement;
+          router?: string;
         };
       };
 
@@ -491,7 +504,7 @@ declare global {
       // 8. UTILITY COMPONENTS
       ErrorBoundary: {
         props: {
-          fallback?: JurisVDOMElement;
+          fallback?: JurisVDOMElement | ((boundary: { error: Error; reset: () => void }) => JurisVDOMElement);
           onError?: (error: Error, errorInfo: any) => void;
           resetKeys?: any[];
           resetOnPropsChange?: boolean;
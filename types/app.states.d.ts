@@ -22,6 +22,8 @@ export interface UserFormData {
     status: UserStatus;
     /** Whether form has been initialized */
     initialized?: boolean;
+    /** Why the last submit failed, if it did */
+    saveError?: string | null;
 }
 
 /**
@@ -52,6 +54,138 @@ export interface RouterConfig {
     currentRoute: string;
 }
 
+export type RouteParamValue = string | number | boolean;
+
+/**
+ * Coercion applied to a matched route param
+ */
+export type RouteParamType = 'string' | 'number' | 'boolean' | ((value: string) => RouteParamValue | undefined);
+
+/**
+ * Route state as stored under `route` and passed to navigation guards
+ */
+export interface RouteLocation {
+    current: string;
+    path: string;
+    params: Record<string, RouteParamValue>;
+    /** Repeated query keys are collected into arrays */
+    query: Record<string, string | string[]>;
+    /** Fragment without the leading "#" */
+    hash: string;
+    fullPath: string;
+    /** True while loaders of a navigation are running */
+    loading?: boolean;
+    /** Loader data of the deepest matched route that has a loader */
+    data?: any;
+    error?: RouteLoadError | null;
+}
+
+/**
+ * Loader failure of a committed route
+ */
+export interface RouteLoadError {
+    message: string;
+    /** Full pattern of the route whose loader failed */
+    path: string;
+    /** Depth of the RouterOutlet that renders the error */
+    depth: number;
+}
+
+/**
+ * Route data loader, run before the navigation is committed
+ */
+export type RouteLoader<T = any> = (
+    params: Record<string, RouteParamValue>,
+    query: Record<string, string | string[]>,
+    context: { signal: AbortSignal; route: RouteLocation }
+) => T | Promise<T>;
+
+/**
+ * Navigation guard: return false to cancel, a path to redirect, anything else to continue
+ */
+export type NavigationGuard = (to: RouteLocation, from: RouteLocation) => boolean | string | void | Promise<boolean | string | void>;
+
+/**
+ * Called after a navigation has been committed
+ */
+export type NavigationHook = (to: RouteLocation, from: RouteLocation) => void;
+
+/**
+ * History backend used by SimpleRouter; routes passed in and out include basePath
+ */
+export interface RouterHistory {
+    /** Current route as seen by the router */
+    getLocation(): string;
+    /** Stable key of the current entry */
+    getKey(): string;
+    push(fullRoute: string): void;
+    replace(fullRoute: string): void;
+    go(delta: number): void;
+    /** href attribute for a route, e.g. "#/users" in hash mode */
+    createHref(fullRoute: string): string;
+    /** Called on back/forward navigation; returns an unsubscribe function */
+    listen(listener: () => void): () => void;
+    /** Every entry, oldest first (memory backend only) */
+    getEntries?(): string[];
+    /** Position of the current entry in getEntries() (memory backend only) */
+    getIndex?(): number;
+}
+
+/**
+ * Built-in history backends; 'query' keeps the route in one query parameter for secondary routers
+ */
+export type RouterHistoryMode = 'html5' | 'hash' | 'memory' | 'query';
+
+/**
+ * Meta value, static or resolved from the matched params and query
+ */
+export type RouteMetaValue<T> = T | ((params: Record<string, RouteParamValue>, query: Record<string, string | string[]>) => T);
+
+/**
+ * Route metadata used for breadcrumbs, document.title and access checks
+ */
+export interface RouteMeta {
+    /** document.title; falls back to the breadcrumb label */
+    title?: RouteMetaValue<string>;
+    /** Breadcrumb label; resolvers may read state and stay reactive */
+    breadcrumb?: RouteMetaValue<string>;
+    /** Roles allowed to enter the route */
+    roles?: UserRole[];
+    [key: string]: any;
+}
+
+/**
+ * Entry of the SimpleRouter route table
+ */
+export interface RouteDefinition {
+    /**
+     * Path pattern, relative to the parent route unless it starts with "/".
+     * Supports `:param`, optional `:param?`, constrained `:param(\\d+)` and a trailing splat `*` or `*name`.
+     */
+    path: string;
+    /** Params converted before matching; a value that does not convert makes the route not match */
+    paramTypes?: Record<string, RouteParamType>;
+    /** Registered component name rendered by RouterOutlet; omit to only group child routes */
+    component?: string;
+    /** Props for the component, or a function deriving them from route params, query and loader data */
+    props?: Record<string, any> | ((params: Record<string, RouteParamValue>, query: Record<string, string | string[]>, data: any) => Record<string, any>);
+    /** Nested routes rendered by a RouterOutlet inside this route's component */
+    children?: RouteDefinition[];
+    /** Lazily imports the component; the module's named export `component` or its default export is registered */
+    load?: () => Promise<any>;
+    /** Runs when the route is entered or its params change */
+    loader?: RouteLoader;
+    /** Component shown while loaders run, receives `{ params }` */
+    pendingComponent?: string;
+    /** Component shown when this route's loader fails, receives `{ error, params, retry }` */
+    errorComponent?: string;
+    meta?: RouteMeta;
+    /** Guard run before the route (or its params) is entered */
+    canEnter?: NavigationGuard;
+    /** Guard run before the route (or its params) is left */
+    canLeave?: NavigationGuard;
+}
+
 /**
  * User filter options
  */
@@ -110,7 +110,195 @@ export interface JurisConfig {
   templateObserver?: TemplateObserverConfig;
   defaultPlaceholder?: PlaceholderConfig;
   placeholders?: Record<string, PlaceholderConfig>;
-}
+  /** Read-only derived paths, e.g. `{ 'users.filtered': (getState) => ... }` */
+  computed?: Record<string, ComputedStateFunction>;
+  /** Opt-in undo/redo; `true` tracks every path */
+  history?: boolean | StateHistoryOptions;
+  /** Persist selected paths across reloads */
+  persist?: StatePersistenceOptions;
+  /** Mirror selected paths across tabs and windows of the same origin */
+  sync?: StateSyncOptions;
+  /**
+   * Deep-freeze state and make getState return read-only views that throw, naming the path, on
+   * mutation. Writes copy only the containers along the written path. Dates, Maps and Sets in state
+   * are frozen too: their mutating methods (`setTime`, `set`, `add`, ...) throw. Meant for development.
+   */
+  strict?: boolean;
+  /**
+   * State serialized by `serializeState` on the server, as a string or parsed (see `Juris.readStateSnapshot`).
+   * Merged over `states`; sets `isHydration` unless the snapshot or `states` define it.
+   */
+  initialSnapshot?: string | StateSnapshot;
+  /** Queue reactive DOM updates per frame instead of running them inside setState */
+  scheduler?: boolean | RenderSchedulerOptions;
+  /** One listener per event type on the render container instead of listeners on every element */
+  eventDelegation?: boolean;
+  /** Called for every render error, whether or not an ErrorBoundary caught it (e.g. to report it) */
+  onError?: (error: Error, info: RenderErrorInfo) => void;
+  /** Schema checks on every write, run as the first middleware */
+  validation?: StateValidationOptions;
+}
+
+/**
+ * JSON-Schema subset understood by the built-in validator
+ */
+export interface StateSchema {
+  type?: StateSchemaType | StateSchemaType[];
+  enum?: any[];
+  const?: any;
+  properties?: Record<string, StateSchema>;
+  required?: string[];
+  additionalProperties?: boolean | StateSchema;
+  items?: StateSchema;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+}
+
+export type StateSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+export interface StateValidationError {
+  /** Path of the offending value, may be below the written path */
+  path: string;
+  message: string;
+}
+
+export interface StateValidationOptions {
+  /** 'reject' keeps the old value, 'warn' only logs, 'off' installs no middleware (use in production) */
+  mode?: 'reject' | 'warn' | 'off';
+  schemas?: Record<string, StateSchema>;
+  onInvalid?: (details: { path: string; value: any; errors: StateValidationError[]; rejected: boolean }) => void;
+}
+
+/**
+ * Resolves an incoming change from another tab; return undefined to keep the local value
+ */
+export type StateSyncConflictResolver = (
+  localValue: any,
+  remoteValue: any,
+  meta: { path: string; remoteTimestamp: number; localTimestamp: number | null; remoteTabId: string }
+) => any;
+
+export interface StateSyncOptions {
+  /** Path prefixes mirrored between tabs */
+  paths: string[];
+  /** BroadcastChannel name, also used for the storage-event fallback key (default 'juris-sync') */
+  channel?: string;
+  /** Default 'last-writer-wins' */
+  conflict?: 'last-writer-wins' | StateSyncConflictResolver;
+}
+
+/**
+ * Storage backend for persisted state; methods may be sync or return promises
+ */
+export interface StorageAdapter {
+  getItem(key: string): any | Promise<any>;
+  setItem(key: string, value: any): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+export interface StatePersistenceOptions {
+  /** Exact state paths to persist */
+  paths: string[];
+  /** Storage key (default 'juris-state') */
+  key?: string;
+  /** Built-in adapter name or a custom adapter (default 'localStorage') */
+  adapter?: 'localStorage' | 'sessionStorage' | 'indexedDB' | StorageAdapter;
+  /** IndexedDB database and object store names */
+  dbName?: string;
+  storeName?: string;
+  /** Schema version of the persisted data (default 1) */
+  version?: number;
+  /** `migrations[n]` upgrades data stored at version n - 1 to version n */
+  migrations?: Record<number, (data: Record<string, any>) => Record<string, any>>;
+  /** Minimum milliseconds between writes (default 300) */
+  throttle?: number;
+}
+
+export interface StateHistoryOptions {
+  /** Path prefixes recorded in history; empty records every write */
+  paths?: string[];
+  /** Oldest entries are dropped beyond this many (default 100) */
+  maxDepth?: number;
+  /** State path kept up to date with `{ canUndo, canRedo, index, length }` for reactive UI */
+  statusPath?: string;
+}
+
+export interface StateHistoryInfo {
+  enabled: boolean;
+  /** Position of the present state; 0 is before the oldest entry */
+  index: number;
+  length: number;
+  /** Changed paths per entry, oldest first */
+  past: string[][];
+  future: string[][];
+}
+
+/**
+ * Handle passed to `transaction(fn)`; reads see the transaction's own pending writes
+ */
+export interface StateTransaction {
+  getState: <T = any>(path: string, defaultValue?: T) => T;
+  setState: <T = any>(path: string, value: T) => void;
+  push: <T = any>(path: string, ...items: T[]) => number;
+  removeWhere: <T = any>(path: string, predicate: (item: T, index: number) => boolean) => T[];
+  updateWhere: <T = any>(path: string, predicate: (item: T, index: number) => boolean, patch: Partial<T> | ((item: T, index: number) => T)) => number;
+}
+
+/**
+ * Serialized state: plain JSON where Dates, Maps, Sets, non-finite numbers, BigInts and
+ * shared/circular references are tagged objects such as `{ $juris: 'Date', value }`
+ */
+export type StateSnapshot = Record<string, any>;
+
+export interface StateSerializeOptions {
+  /** Path prefixes to keep; everything when omitted */
+  include?: string[];
+  /** Path prefixes to drop; component-local state is always dropped */
+  exclude?: string[];
+  /** Passed to JSON.stringify for readable output */
+  space?: number | string;
+}
+
+export interface EmbedStateOptions extends StateSerializeOptions {
+  /** Defaults to 'juris-state' */
+  id?: string;
+}
+
+/**
+ * 'user-input' updates (made while a Juris event handler runs) flush in a microtask,
+ * 'background' ones once per animation frame
+ */
+export type RenderLane = 'user-input' | 'background';
+
+export interface RenderSchedulerOptions {
+  /** Milliseconds of background updates per frame before the rest waits for the next one (default 8) */
+  frameBudget?: number;
+}
+
+/** Where a render error came from, passed to `JurisConfig.onError` and `ErrorBoundary` `onError` */
+export interface RenderErrorInfo {
+  source: 'component' | 'async-component' | 'children' | 'text' | 'style' | 'attribute' | 'fallback' | 'render';
+  /** Name of the component that threw, for `source: 'component'` */
+  component?: string;
+  /** Whether an ErrorBoundary took the error (only set for `JurisConfig.onError`) */
+  caught?: boolean;
+}
+
+export interface SelectorSubscriptionOptions<T = any> {
+  /** Defaults to a deep comparison */
+  equals?: (a: T | undefined, b: T) => boolean;
+  /** Call back once right away with the current selection */
+  fireImmediately?: boolean;
+}
+
+/**
+ * Derives a computed path's value. Every path read through `getState` becomes a dependency;
+ * the value is memoized until one of them changes.
+ */
+export type ComputedStateFunction<T = any> = (getState: <V = any>(path: string, defaultValue?: V) => V) => T;
 
 export interface TemplateObserverConfig {
   enabled?: boolean;
@@ -1180,6 +1368,12 @@ export namespace JurisVDOM {
     'aria-disabled'?: ReactiveValue<string | boolean>;
     'aria-hidden'?: ReactiveValue<string | boolean>;
     'aria-live'?: ReactiveValue<'off' | 'polite' | 'assertive'>;
+    'aria-atomic'?: ReactiveValue<string | boolean>;
+    'aria-busy'?: ReactiveValue<string | boolean>;
+    'aria-modal'?: ReactiveValue<string | boolean>;
+    'aria-invalid'?: ReactiveValue<boolean | 'false' | 'true' | 'grammar' | 'spelling'>;
+    'aria-required'?: ReactiveValue<string | boolean>;
+    'aria-errormessage'?: ReactiveValue<string>;
     'aria-orientation'?: ReactiveValue<'horizontal' | 'vertical'>;
     'aria-current'?: ReactiveValue<string | boolean>;
     'aria-haspopup'?: ReactiveValue<boolean | 'false' | 'true' | 'menu' | 'listbox' | 'tree' | 'grid' | 'dialog'>;
@@ -1240,6 +1434,9 @@ export namespace JurisVDOM {
     onTouchMove?: SmartEventHandler<TouchEvent>;
     onTouchEnd?: SmartEventHandler<TouchEvent>;
     onTouchCancel?: SmartEventHandler<TouchEvent>;
+    
+    // Event modifiers: onClick.prevent, onSubmit.prevent.stop, onKeyDown.enter, onKeyDown.ctrl.s, onClick.self.once
+    [modifiedEvent: `on${string}.${string}`]: SmartEventHandler<any> | undefined;
   }
 
   // Void elements (self-closing)
@@ -1258,6 +1455,26 @@ export namespace JurisVDOM {
     children?: ReactiveValue<Element[]>;
   }
 
+  // Fragment - its children are spliced into the surrounding child list (keys included)
+  export interface FragmentElement {
+    children?: Element[] | Element;
+  }
+
+  // Portal - children render into target (default document.body) inside a host div that takes the
+  // remaining props; the host is removed when the portal's owner is cleaned up
+  export interface PortalElement extends BaseElementProps {
+    target?: string | HTMLElement;
+    children?: ReactiveValue<Element[]>;
+  }
+
+  // ErrorBoundary - an error from a descendant component or reactive prop swaps the children for the
+  // fallback (a static element or one built from the error and a reset() that renders the children again)
+  export interface ErrorBoundaryElement extends BaseElementProps {
+    fallback?: Element | ((boundary: { error: Error; reset: () => void }) => Element);
+    onError?: (error: Error, info: RenderErrorInfo) => void;
+    children?: ReactiveValue<Element[]>;
+  }
+
   // Elements that can have EITHER text OR children OR innerHTML - all async-capable
   export interface ContainerWithTextElement extends BaseElementProps {
     text?: ReactiveValue<string>;
@@ -1785,7 +2002,8 @@ export namespace JurisVDOM {
     | 'table' | 'tr' | 'td' | 'th' | 'thead' | 'tbody'
     | 'ul' | 'ol' | 'li' | 'dl' | 'dt' | 'dd'
     | 'a' | 'nav' | 'header' | 'footer' | 'main' | 'section' | 'article' | 'aside'
-    | 'br' | 'hr' | 'meta' | 'link' | 'style' | 'script';
+    | 'br' | 'hr' | 'meta' | 'link' | 'style' | 'script'
+    | 'fragment' | 'portal' | 'ErrorBoundary';
 
   type ValidateComponentElement<T> = T extends { [K in infer U]: any } 
     ? U extends string 
@@ -1911,6 +2129,11 @@ export namespace JurisVDOM {
     | { figcaption: TextElement }
     | { template: ContainerElement }
     | { slot: ContainerElement }
+    | { fragment: FragmentElement }
+    | { portal: PortalElement }
+    | { ErrorBoundary: ErrorBoundaryElement }
+    | string  // Bare strings and numbers render as text nodes
+    | number
     | RegisteredComponentElements;  // Allow any component name
 }
 
@@ -1988,6 +2211,8 @@ interface JurisContextCore extends ComponentState<any> {
   element?: HTMLElement;
   headlessAPIs: Record<string, any>;
   executeBatch: (callback: () => any) => any;
+  /** Writes through `tx` land together when fn succeeds; they are all dropped when it throws or rejects, or when validation would reject one */
+  transaction: <T = any>(fn: (tx: StateTransaction) => T | Promise<T>) => Promise<T>;
   newState?: <T>(key: string, initialValue: T) => [() => T, (value: T) => void];
   components?: {
     register: (name: string, component: JurisComponentFunction<any>) => void;
@@ -2123,6 +2348,51 @@ export interface JurisInstance<TState = {}> {
       }
     : (path: string, callback: (newValue: any, oldValue: any, path: string) => void) => () => void;
 
+  /** Calls back only when the selected value changes; re-runs when a path the selector read changes */
+  subscribeSelector: <T = any>(
+    selector: (getState: <V = any>(path: string, defaultValue?: V) => V) => T,
+    callback: (selected: T, previous: T | undefined) => void,
+    options?: SelectorSubscriptionOptions<T>
+  ) => () => void;
+
+  executeBatch: <T = any>(callback: () => T) => T;
+  transaction: <T = any>(fn: (tx: StateTransaction) => T | Promise<T>) => Promise<T>;
+
+  // Computed paths
+  defineComputed: <T = any>(path: string, fn: ComputedStateFunction<T>) => () => void;
+  removeComputed: (path: string) => void;
+
+  // Undo/redo (needs the `history` config option)
+  undo: () => boolean;
+  redo: () => boolean;
+  jumpTo: (index: number) => boolean;
+  canUndo: () => boolean;
+  canRedo: () => boolean;
+  getHistory: () => StateHistoryInfo;
+  clearHistory: () => void;
+
+  // Validation
+  registerSchema: (path: string, schema: StateSchema) => () => void;
+  validateState: (path: string, value: any) => StateValidationError[];
+
+  // Array helpers, unchanged items keep their references
+  push: <T = any>(path: string, ...items: T[]) => number;
+  insertAt: <T = any>(path: string, index: number, ...items: T[]) => number;
+  removeWhere: <T = any>(path: string, predicate: (item: T, index: number) => boolean) => T[];
+  updateWhere: <T = any>(path: string, predicate: (item: T, index: number) => boolean, patch: Partial<T> | ((item: T, index: number) => T)) => number;
+  move: (path: string, from: number, to: number) => boolean;
+
+  // Persistence (needs the `persist` config option)
+  /** Resolves with whether stored state was applied */
+  persistenceReady: Promise<boolean>;
+  flushPersistence: () => Promise<void>;
+  clearPersistedState: () => Promise<void>;
+
+  // Snapshots (SSR handoff, debugging)
+  serializeState: (options?: StateSerializeOptions) => string;
+  /** `<script type="application/json">` markup holding the serialized state */
+  embedState: (options?: EmbedStateOptions) => string;
+
   // NEW: Batch processing methods
   
   // Component management
@@ -2136,6 +2406,8 @@ export interface JurisInstance<TState = {}> {
   registerAndInitHeadless: (name: string, componentFn: any, options?: any) => any;
 
   setupIndicators: (elementId: string, config: PlaceholderConfig) => void;
+  /** Loading indicator configured for the element or its nearest ancestor with `placeholders` config */
+  getPlaceholder: (element?: HTMLElement | null) => JurisVDOMElement;
   
   // Rendering
   render: (container?: string | HTMLElement) => void;
@@ -2143,6 +2415,10 @@ export interface JurisInstance<TState = {}> {
   getRenderMode: () => string;
   isFineGrained: () => boolean;
   isBatchMode: () => boolean;
+  /** Runs fn as user input, then applies every queued DOM update before returning */
+  flushSync: <T = void>(fn?: () => T) => T;
+  /** State writes inside fn queue their DOM updates in the given lane */
+  runWithPriority: <T>(lane: RenderLane, fn: () => T) => T;
   
   // Enhancement
   enhance: (selector: string, definition: Enhancement, options?: EnhancementOptions) => () => void;
@@ -2168,6 +2444,10 @@ export interface JurisInstance<TState = {}> {
 // Constructor interface
 export interface JurisConstructor {
   new (config?: JurisConfig): JurisInstance<any>;
+  /** Resolves a built-in adapter name (or passes a custom adapter through); null when the storage is unavailable */
+  createStorageAdapter(adapter?: StatePersistenceOptions['adapter'], options?: { dbName?: string; storeName?: string }): StorageAdapter | null;
+  /** Parses the script written by `embedState`; null when missing, invalid or outside a browser */
+  readStateSnapshot(selector?: string): StateSnapshot | null;
 }
 
 // Main Juris class export
@@ -2282,6 +2562,25 @@ export {
   JurisConfig,
   TemplateObserverConfig,
   MiddlewareContext,
+  ComputedStateFunction,
+  StateHistoryOptions,
+  StateHistoryInfo,
+  StorageAdapter,
+  StatePersistenceOptions,
+  StateSyncOptions,
+  StateSyncConflictResolver,
+  StateSchema,
+  StateSchemaType,
+  StateValidationError,
+  StateValidationOptions,
+  SelectorSubscriptionOptions,
+  StateTransaction,
+  StateSnapshot,
+  StateSerializeOptions,
+  EmbedStateOptions,
+  RenderLane,
+  RenderSchedulerOptions,
+  RenderErrorInfo,
   HeadlessComponentConfig,
   HeadlessComponentOptions,
   // Statistics and status interfaces